@@ -8,7 +8,7 @@ const config = {
   },
   plugins: {
     CapacitorSQLite: {
-      androidIsEncryption: false,
+      androidIsEncryption: true,
       androidBiometric: {
         biometricAuth: false
       }
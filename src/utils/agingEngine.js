@@ -0,0 +1,139 @@
+// src/utils/agingEngine.js
+// BizTrack Pro - Debtor Aging Engine
+// Sorts what each customer owes by how long it has been past its due date,
+// and fills payment reminder messages from the business's template.
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', min: -Infinity, max: 0 },
+  { key: 'd1_30', label: '1–30 days', min: 1, max: 30 },
+  { key: 'd31_60', label: '31–60 days', min: 31, max: 60 },
+  { key: 'd61_90', label: '61–90 days', min: 61, max: 90 },
+  { key: 'd90plus', label: '90+ days', min: 91, max: Infinity }
+];
+
+// Placeholders a reminder template can use, with what each one becomes
+export const REMINDER_FIELDS = {
+  customer: "Customer's name",
+  balance: 'Total they owe',
+  overdue: 'Part of it past due',
+  oldestInvoice: 'Oldest unpaid invoice number',
+  oldestDate: 'Date of that invoice',
+  daysOverdue: 'Days it is past due',
+  business: 'Your business name'
+};
+
+export const DEFAULT_REMINDER_TEMPLATE =
+  'Hello {customer}, this is a reminder from {business} that your account balance is {balance}. ' +
+  'Invoice {oldestInvoice} of {oldestDate} is {daysOverdue} days past due. Kindly arrange payment. Thank you!';
+
+const DAY = 86400000;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const dayNo = (d) => Math.floor(Date.parse(String(d).slice(0, 10) + 'T00:00:00Z') / DAY);
+
+/**
+ * When a receipt falls due: its own due date, or payTerms days after the sale
+ * for receipts saved without one.
+ * @returns {string} YYYY-MM-DD
+ */
+export function receiptDueDate(receipt, payTerms = 30) {
+  if (receipt.dueDate) return String(receipt.dueDate).slice(0, 10);
+  return new Date(Date.parse(receipt.date || Date.now()) + payTerms * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Age every unpaid receipt and total the buckets per customer, in the base
+ * currency: a receipt in another currency counts at its own rate (fxRate).
+ * @param {Array} receipts - With balance, date, dueDate, customerId, customer, fxRate
+ * @param {Object} [opts] - { asOf: YYYY-MM-DD (today), payTerms, customers: customers rows }
+ * @returns {Object} { asOf, rows, totals } rows: one per customer owing, most
+ *   owed first — { customerId, name, phone, current, d1_30…d90plus, total,
+ *   overdue, invoices, oldest: { receiptId, invoiceNo, date, dueDate, daysOverdue } }
+ */
+export function computeAging(receipts = [], opts = {}) {
+  const asOf = opts.asOf || new Date().toISOString().slice(0, 10);
+  const today = dayNo(asOf);
+  const people = new Map((opts.customers || []).map(c => [c.id, c]));
+  const empty = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  const by = new Map();
+
+  for (const r of receipts) {
+    if (!((r.balance || 0) > 0.005)) continue;
+    const key = r.customerId || '';
+    if (!by.has(key)) {
+      const c = people.get(key);
+      by.set(key, {
+        customerId: key || null,
+        name: c ? c.name : key ? (r.customer || 'Unknown') : 'Walk-in',
+        phone: (c && c.phone) || r.phone || '',
+        ...empty(), total: 0, overdue: 0, invoices: 0, oldest: null
+      });
+    }
+    const row = by.get(key);
+    const balance = (r.balance || 0) * (r.fxRate > 0 ? r.fxRate : 1);
+    const dueDate = receiptDueDate(r, opts.payTerms ?? 30);
+    const days = today - dayNo(dueDate);
+    const bucket = AGING_BUCKETS.find(b => days >= b.min && days <= b.max);
+    row[bucket.key] += balance;
+    row.total += balance;
+    if (days > 0) row.overdue += balance;
+    row.invoices++;
+    if (!row.oldest || days > row.oldest.daysOverdue) {
+      row.oldest = { receiptId: r.id, invoiceNo: r.invoiceNo || r.id, date: r.date, dueDate, daysOverdue: days };
+    }
+    if (!row.phone && r.phone) row.phone = r.phone;
+  }
+
+  const rows = [...by.values()].map(row => {
+    for (const b of AGING_BUCKETS) row[b.key] = round2(row[b.key]);
+    row.total = round2(row.total);
+    row.overdue = round2(row.overdue);
+    return row;
+  }).sort((a, b) => b.overdue - a.overdue || b.total - a.total);
+
+  const totals = empty();
+  for (const row of rows) for (const b of AGING_BUCKETS) totals[b.key] = round2(totals[b.key] + row[b.key]);
+  totals.total = round2(rows.reduce((s, r) => s + r.total, 0));
+  totals.overdue = round2(rows.reduce((s, r) => s + r.overdue, 0));
+  return { asOf, rows, totals };
+}
+
+/**
+ * Fill a reminder template for one aging row. Unknown placeholders are left
+ * as typed so a mistake shows in the preview.
+ * @param {string} template
+ * @param {Object} row - From computeAging
+ * @param {Object} ctx - { business, money: n => formatted amount, date: d => formatted date }
+ * @returns {string}
+ */
+export function fillReminder(template, row, ctx = {}) {
+  const money = ctx.money || ((n) => String(round2(n)));
+  const date = ctx.date || ((d) => String(d || '').slice(0, 10));
+  const o = row.oldest || {};
+  const values = {
+    customer: row.name,
+    balance: money(row.total),
+    overdue: money(row.overdue),
+    oldestInvoice: o.invoiceNo || '',
+    oldestDate: o.date ? date(o.date) : '',
+    daysOverdue: Math.max(0, o.daysOverdue || 0),
+    business: ctx.business || ''
+  };
+  return String(template || DEFAULT_REMINDER_TEMPLATE)
+    .replace(/\{(\w+)\}/g, (m, k) => (k in values ? String(values[k]) : m));
+}
+
+/**
+ * wa.me link that opens a WhatsApp chat with the message typed in.
+ * Local numbers (leading 0) take the country code given.
+ * @param {string} phone
+ * @param {string} message
+ * @param {string} [countryCode] - Digits only, e.g. '256'
+ * @returns {string|null} null when the phone number is unusable
+ */
+export function whatsAppLink(phone, message, countryCode = '') {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0') && countryCode) digits = countryCode + digits.slice(1);
+  if (digits.length < 8) return null;
+  return `https://wa.me/${digits}?text=${encodeURIComponent(message)}`;
+}
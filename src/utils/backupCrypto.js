@@ -0,0 +1,116 @@
+// src/utils/backupCrypto.js
+// BizTrack Pro - Password-Protected Backups
+// Seals a backup with AES-256-GCM under a key stretched from the password by
+// PBKDF2. Half of the derived bits become the key, the other half a check
+// value stored in the file, so a wrong password is told apart from a file
+// that was cut short or changed (which fails GCM's own integrity check).
+// Uses the Web Crypto API, present in the Android WebView and browsers.
+
+export const ENCRYPTED_BACKUP_FORMAT = 'biztrack-encrypted-backup';
+export const MIN_BACKUP_PASSWORD = 8;
+const ITERATIONS = 210000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function fromBase64(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function deriveKeys(password, salt, iterations) {
+  const base = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, 512
+  ));
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const check = new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+  return { key, check: toBase64(check) };
+}
+
+export function isEncryptedBackup(file) {
+  return !!file && typeof file === 'object' && file.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Encrypt a backup (as made by exportAllData) with a password.
+ * @param {Object} backup
+ * @param {string} password
+ * @returns {Promise<Object>} The file to save — only app, format and
+ *   exportedAt are readable without the password
+ */
+export async function encryptBackup(backup, password) {
+  if (String(password || '').length < MIN_BACKUP_PASSWORD) {
+    throw new Error(`Use a backup password of at least ${MIN_BACKUP_PASSWORD} characters`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const { key, check } = await deriveKeys(password, salt, ITERATIONS);
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(backup)));
+  return {
+    app: 'BizTrack Pro',
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    exportedAt: backup.exportedAt || new Date().toISOString(),
+    cipher: 'AES-256-GCM',
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+    iv: toBase64(iv),
+    check,
+    data: toBase64(new Uint8Array(sealed))
+  };
+}
+
+/**
+ * Open a password-protected backup.
+ * Throws with wrongPassword: true on the error when the password is wrong,
+ * so the caller can ask again; any other error means the file is unusable.
+ * @param {Object} file - Parsed encrypted backup file
+ * @param {string} password
+ * @returns {Promise<Object>} The backup, ready for restoreBackup
+ */
+export async function decryptBackup(file, password) {
+  if (!isEncryptedBackup(file)) throw new Error('This backup is not password-protected');
+  if (file.version !== 1 || file.cipher !== 'AES-256-GCM') {
+    throw new Error('This backup was made by a newer version of BizTrack — update the app, then restore it');
+  }
+  const kdf = file.kdf || {};
+  if (kdf.name !== 'PBKDF2' || !kdf.salt || !kdf.iterations || !file.iv || !file.check || !file.data) {
+    throw new Error('The backup file is damaged — parts of it are missing');
+  }
+  // Every file is written with ITERATIONS; any other count was edited in, and
+  // could make the phone hang deriving the key or weaken it to nothing
+  if (kdf.iterations !== ITERATIONS) {
+    throw new Error('The backup file is damaged — its key settings are not valid');
+  }
+  let salt, iv, sealed;
+  try {
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(file.iv);
+    sealed = fromBase64(file.data);
+  } catch (_) {
+    throw new Error('The backup file is damaged — it could not be read');
+  }
+  const { key, check } = await deriveKeys(String(password || ''), salt, kdf.iterations);
+  if (check !== file.check) {
+    const err = new Error('Wrong backup password');
+    err.wrongPassword = true;
+    throw err;
+  }
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, sealed);
+  } catch (_) {
+    throw new Error('The backup file is damaged — it was changed or cut short after it was saved');
+  }
+  return JSON.parse(decoder.decode(plain));
+}
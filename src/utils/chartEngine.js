@@ -0,0 +1,155 @@
+// src/utils/chartEngine.js
+// BizTrack Pro - Report Charts
+// Works out where every bar, line point and slice of a chart goes, as plain
+// numbers. trendSvg and mixSvg turn a layout into SVG for the app; the P&L
+// PDF draws the same layouts with jsPDF shapes. Nothing is loaded from the
+// network, so charts work offline.
+
+// Brand colours (see the CSS variables in index.html), most used first
+export const CHART_COLORS = ['#1B3A4B', '#E8A020', '#2D6A4F', '#C1440E', '#2A5570', '#B57A00', '#6B7280'];
+const REVENUE_COLOR = '#E8A020';
+const PROFIT_COLOR = '#2D6A4F';
+const MUTED = '#6B7280';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Ranges longer than this are charted by month
+const MAX_DAYS = 62;
+const DAY = 86400000;
+
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const r1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Chart points for a P&L's daily trend. Days with no sales are filled in as
+ * zero so gaps show; ranges over two months are summed by month.
+ * @param {Array} dailyTrend - From computePL: [{ date, revenue, profit }]
+ * @param {string} [fromDate] - YYYY-MM-DD; defaults to the first day with sales
+ * @param {string} [toDate] - YYYY-MM-DD; defaults to the last
+ * @returns {Array} [{ key, label, revenue, profit }]
+ */
+export function trendPoints(dailyTrend = [], fromDate, toDate) {
+  const from = (fromDate || (dailyTrend[0] || {}).date || '').slice(0, 10);
+  const to = (toDate || (dailyTrend[dailyTrend.length - 1] || {}).date || '').slice(0, 10);
+  if (!from || !to || from > to) return [];
+  const byDay = new Map(dailyTrend.map(d => [d.date, d]));
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY) + 1;
+
+  if (days <= MAX_DAYS) {
+    return Array.from({ length: days }, (_, i) => {
+      const date = new Date(Date.parse(from) + i * DAY).toISOString().slice(0, 10);
+      const d = byDay.get(date) || {};
+      return { key: date, label: `${+date.slice(8)} ${MONTHS[+date.slice(5, 7) - 1]}`, revenue: d.revenue || 0, profit: d.profit || 0 };
+    });
+  }
+  const months = new Map();
+  let y = +from.slice(0, 4), m = +from.slice(5, 7);
+  for (let key = from.slice(0, 7); key <= to.slice(0, 7); key = `${y}-${String(m).padStart(2, '0')}`) {
+    months.set(key, { key, label: `${MONTHS[m - 1]} ${String(y).slice(2)}`, revenue: 0, profit: 0 });
+    if (++m > 12) { m = 1; y++; }
+  }
+  for (const d of dailyTrend) {
+    const row = months.get(d.date.slice(0, 7));
+    if (row && d.date >= from && d.date <= to) { row.revenue += d.revenue || 0; row.profit += d.profit || 0; }
+  }
+  return [...months.values()];
+}
+
+/**
+ * Lay out revenue as bars and profit as a line on one scale that always
+ * includes zero, so losses dip below the axis.
+ * @param {Array} points - [{ label, revenue, profit }]
+ * @param {Object} box - { width, height, top, bottom } in the units being drawn in
+ * @returns {Object} { width, height, max, min, zeroY, bars: [{x,y,w,h}],
+ *   line: [[x,y]], ticks: [{x, label}] } — at most six ticks
+ */
+export function trendLayout(points = [], box = {}) {
+  const { width = 320, height = 140, top = 14, bottom = 14 } = box;
+  const values = points.flatMap(p => [p.revenue || 0, p.profit || 0]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+  const plotH = height - top - bottom;
+  const yOf = (v) => top + ((max - v) / span) * plotH;
+  const zeroY = yOf(0);
+  const step = width / Math.max(points.length, 1);
+  const barW = step > 3 ? step * 0.7 : step;
+  const every = Math.ceil(points.length / 6) || 1;
+  return {
+    width, height, max, min, zeroY,
+    bars: points.map((p, i) => {
+      const y = yOf(p.revenue || 0);
+      return { x: i * step + (step - barW) / 2, y: Math.min(y, zeroY), w: barW, h: Math.abs(y - zeroY) };
+    }),
+    line: points.map((p, i) => [i * step + step / 2, yOf(p.profit || 0)]),
+    ticks: points.map((p, i) => ({ x: i * step + step / 2, label: p.label })).filter((_, i) => i % every === 0)
+  };
+}
+
+/**
+ * Share of the whole for each item, biggest first. Items past the first
+ * `limit` are added together as "Other" so the colours stay readable.
+ * @param {Array} items - e.g. categoryBreakdown or paymentMethods from computePL
+ * @param {string} labelKey
+ * @param {string} valueKey
+ * @param {number} [limit]
+ * @returns {Array} [{ label, value, pct, color, x, w }] — x and w are fractions of the bar
+ */
+export function mixSegments(items = [], labelKey, valueKey, limit = 5) {
+  const rows = items.map(i => ({ label: String(i[labelKey] ?? ''), value: Number(i[valueKey]) || 0 }))
+    .filter(r => r.value > 0)
+    .sort((a, b) => b.value - a.value);
+  if (rows.length > limit + 1) {
+    const rest = rows.splice(limit);
+    rows.push({ label: 'Other', value: rest.reduce((s, r) => s + r.value, 0) });
+  }
+  const total = rows.reduce((s, r) => s + r.value, 0);
+  let x = 0;
+  return rows.map((r, i) => {
+    const w = total > 0 ? r.value / total : 0;
+    const seg = { ...r, pct: r1(w * 100), color: CHART_COLORS[i % CHART_COLORS.length], x, w };
+    x += w;
+    return seg;
+  });
+}
+
+/**
+ * Revenue bars and profit line as an SVG string.
+ * @param {Array} points - From trendPoints
+ * @param {Object} [opts] - { width, height, money: n => short amount, labels: [bars, line] }
+ * @returns {string}
+ */
+export function trendSvg(points = [], opts = {}) {
+  const money = opts.money || ((n) => Math.round(n).toLocaleString());
+  const [barLabel, lineLabel] = opts.labels || ['Revenue', 'Gross profit'];
+  const L = trendLayout(points, { width: opts.width || 320, height: opts.height || 150, top: 16, bottom: 14 });
+  const path = L.line.map(([x, y], i) => `${i ? 'L' : 'M'}${r1(x)},${r1(y)}`).join(' ');
+  return `<svg viewBox="0 0 ${L.width} ${L.height}" width="100%" role="img" aria-label="${esc(barLabel)} and ${esc(lineLabel)} chart" style="display:block;font-family:inherit">
+  <text x="0" y="9" font-size="9" fill="${MUTED}">${esc(money(L.max))}</text>
+  <rect x="${L.width - 150}" y="2" width="8" height="8" rx="2" fill="${REVENUE_COLOR}"/><text x="${L.width - 138}" y="9" font-size="9" fill="${MUTED}">${esc(barLabel)}</text>
+  <rect x="${L.width - 70}" y="5" width="10" height="2" fill="${PROFIT_COLOR}"/><text x="${L.width - 56}" y="9" font-size="9" fill="${MUTED}">${esc(lineLabel)}</text>
+  ${L.bars.map((b, i) => `<rect x="${r1(b.x)}" y="${r1(b.y)}" width="${r1(b.w)}" height="${r1(b.h)}" rx="1" fill="${REVENUE_COLOR}" opacity=".85"><title>${esc(points[i].label)}: ${esc(money(points[i].revenue))}</title></rect>`).join('')}
+  <line x1="0" x2="${L.width}" y1="${r1(L.zeroY)}" y2="${r1(L.zeroY)}" stroke="#E5E7EB"/>
+  ${points.length > 1 ? `<path d="${path}" fill="none" stroke="${PROFIT_COLOR}" stroke-width="1.5" stroke-linejoin="round"/>` : ''}
+  ${L.ticks.map(t => `<text x="${r1(t.x)}" y="${L.height - 2}" font-size="9" fill="${MUTED}" text-anchor="middle">${esc(t.label)}</text>`).join('')}
+</svg>`;
+}
+
+/**
+ * One stacked bar with a legend row per segment, as an SVG string.
+ * @param {Array} segments - From mixSegments
+ * @param {Object} [opts] - { width, money: n => amount }
+ * @returns {string}
+ */
+export function mixSvg(segments = [], opts = {}) {
+  const money = opts.money || ((n) => Math.round(n).toLocaleString());
+  const width = opts.width || 320;
+  const height = 22 + segments.length * 16;
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Share of total" style="display:block;font-family:inherit">
+  ${segments.map(s => `<rect x="${r1(s.x * width)}" y="0" width="${r1(s.w * width)}" height="12" fill="${s.color}"><title>${esc(s.label)}: ${s.pct}%</title></rect>`).join('')}
+  ${segments.map((s, i) => {
+    const y = 30 + i * 16;
+    return `<rect x="0" y="${y - 8}" width="9" height="9" rx="2" fill="${s.color}"/><text x="14" y="${y}" font-size="11" fill="#374151">${esc(s.label)}</text>` +
+      `<text x="${width}" y="${y}" font-size="11" fill="#374151" text-anchor="end">${esc(money(s.value))} · ${s.pct}%</text>`;
+  }).join('')}
+</svg>`;
+}
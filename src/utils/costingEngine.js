@@ -0,0 +1,159 @@
+// src/utils/costingEngine.js
+// BizTrack Pro - Inventory Costing Engine
+// Replays the stock ledger under weighted moving average or FIFO to value
+// stock at any date. Live sales take stock from database.js's cost layers
+// (earliest expiry first); each ledger row records the layers it created or
+// used up, and the FIFO replay follows that record.
+
+export const COSTING_METHODS = ['WMA', 'FIFO'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Take qty units off the front of a FIFO layer queue (oldest first).
+ * Mutates the layers; units beyond what the layers hold are costed at
+ * fallbackCost.
+ * @returns {number} Total cost of the units taken
+ */
+export function consumeFIFO(layers, qty, fallbackCost = 0) {
+  let left = qty;
+  let cost = 0;
+  while (left > 1e-9 && layers.length) {
+    const layer = layers[0];
+    const take = Math.min(layer.qty, left);
+    cost += take * layer.unitCost;
+    layer.qty -= take;
+    left -= take;
+    if (layer.qty <= 1e-9) layers.shift();
+  }
+  return cost + Math.max(0, left) * fallbackCost;
+}
+
+/**
+ * Take qty units from the layers a ledger row says it used, then from the
+ * front of the queue for anything the record does not cover (older rows,
+ * layers from before the replay window). Mutates the layers.
+ * @param {Array} layers - [{ id, qty, unitCost }]
+ * @param {Array} used - [{ id, qty }] from stock_transactions.layers
+ * @returns {number} Total cost of the units taken
+ */
+export function consumeRecorded(layers, used, qty, fallbackCost = 0) {
+  let left = qty;
+  let cost = 0;
+  for (const u of used) {
+    if (left <= 1e-9) break;
+    const i = layers.findIndex(l => l.id != null && l.id === u.id);
+    if (i < 0) continue;
+    const take = Math.min(layers[i].qty, u.qty || 0, left);
+    cost += take * layers[i].unitCost;
+    layers[i].qty -= take;
+    left -= take;
+    if (layers[i].qty <= 1e-9) layers.splice(i, 1);
+  }
+  return cost + consumeFIFO(layers, left, fallbackCost);
+}
+
+// stock_transactions.layers as stored (JSON text) or already parsed
+function recordedLayers(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Replay stock_transactions (oldest first) and return what each product held
+ * and what it was worth after the last movement on or before asOf.
+ * Incoming movements add stock at the movement's unit cost; outgoing ones
+ * remove it at the running average (WMA) or, under FIFO, from the layers
+ * the movement recorded (oldest first when it recorded none).
+ * The ledger's resultingBalance is treated as the truth, so a movement that
+ * was clamped at zero does not leave the replay out of step.
+ * @param {Array} transactions - stock_transactions rows
+ * @param {Object} [opts] - { method: 'WMA'|'FIFO', asOf: 'YYYY-MM-DD' }
+ * @returns {Map} productId → { qty, value, unitCost, layers }
+ */
+export function replayStock(transactions = [], opts = {}) {
+  const method = COSTING_METHODS.includes(opts.method) ? opts.method : 'WMA';
+  const until = opts.asOf ? opts.asOf + 'T23:59:59.999Z' : null;
+  const rows = transactions
+    .filter(t => !until || (t.timestamp || '') <= until)
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  const state = new Map();
+
+  for (const t of rows) {
+    if (!state.has(t.productId)) state.set(t.productId, { qty: 0, value: 0, layers: [] });
+    const s = state.get(t.productId);
+    const unitCost = t.unitCost || 0;
+    const recorded = recordedLayers(t.layers);
+    const take = (qty, used = []) => {
+      if (qty <= 0) return;
+      const avg = s.qty > 0 ? s.value / s.qty : unitCost;
+      if (method === 'FIFO') s.value -= consumeRecorded(s.layers, used, qty, avg);
+      else s.value -= Math.min(qty, s.qty) * avg;
+      s.qty = Math.max(0, s.qty - qty);
+    };
+    const add = (qty, id = null) => {
+      if (qty <= 0) return;
+      s.layers.push({ id, qty, unitCost, date: t.timestamp });
+      s.qty += qty;
+      s.value += qty * unitCost;
+    };
+
+    if (t.baseQty > 0) add(t.baseQty, recorded[0] ? recorded[0].id : null);
+    else take(-(t.baseQty || 0), recorded);
+    if (t.resultingBalance != null) {
+      const drift = t.resultingBalance - s.qty;
+      if (drift > 1e-9) add(drift);
+      else if (drift < -1e-9) take(-drift);
+    }
+    if (s.qty <= 1e-9) { s.qty = 0; s.value = 0; s.layers = []; }
+  }
+
+  for (const s of state.values()) {
+    s.value = round2(s.value);
+    s.unitCost = s.qty > 0 ? s.value / s.qty : 0;
+  }
+  return state;
+}
+
+/**
+ * Inventory valuation report at a date.
+ * @param {Array} inventory - Products (for names, categories and units)
+ * @param {Array} transactions - stock_transactions rows
+ * @param {Object} [opts] - { method, asOf }
+ * @returns {Object} { method, asOf, rows: [{ productId, product, category, baseUnit,
+ *   qty, unitCost, value }], totalValue, totalQty }
+ */
+export function valueInventory(inventory = [], transactions = [], opts = {}) {
+  const method = COSTING_METHODS.includes(opts.method) ? opts.method : 'WMA';
+  const state = replayStock(transactions, { method, asOf: opts.asOf });
+  const byId = new Map(inventory.map(p => [p.id, p]));
+  const names = new Map(transactions.map(t => [t.productId, t.productName]));
+  const rows = [...state.entries()]
+    .filter(([, s]) => s.qty > 0)
+    .map(([id, s]) => {
+      const p = byId.get(id) || {};
+      return {
+        productId: id,
+        product: p.name || names.get(id) || id,
+        category: p.category || '',
+        baseUnit: p.baseUnit || p.unit || '',
+        qty: Math.round(s.qty * 1000) / 1000,
+        unitCost: round2(s.unitCost),
+        value: s.value
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+  return {
+    method,
+    asOf: opts.asOf || new Date().toISOString().slice(0, 10),
+    rows,
+    totalValue: round2(rows.reduce((t, r) => t + r.value, 0)),
+    totalQty: rows.reduce((t, r) => t + r.qty, 0)
+  };
+}
@@ -0,0 +1,93 @@
+// src/utils/currencyEngine.js
+// BizTrack Pro - Currency Engine
+// Receipts, expenses and bills keep the currency they were made in and the
+// exchange rate to the base (reporting) currency on their date. Rates come
+// from a hand-kept table of dated rates; once a rate is on a transaction it
+// never changes, so entering a new rate leaves past figures alone.
+// Stock costs are always in the base currency.
+
+export const CURRENCIES = ['UGX', 'KES', 'TZS', 'RWF', 'NGN', 'GHS', 'USD', 'EUR'];
+// Currencies whose cents matter; the rest are shown in whole units
+const DECIMALS = { USD: 2, EUR: 2 };
+
+export function formatMoney(n, currency) {
+  const d = DECIMALS[currency] || 0;
+  const v = d ? Number(n) || 0 : Math.round(Number(n) || 0);
+  return `${currency} ${v.toLocaleString(undefined, { minimumFractionDigits: d, maximumFractionDigits: d })}`;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * The rate for a currency on a date: the latest entered on or before it.
+ * @param {Array} rates - exchange_rates rows { currency, rate, date }
+ * @param {string} currency
+ * @param {string} [date] - Defaults to today
+ * @param {string} [base] - The base currency, which is always 1
+ * @returns {Object|null} The rate row, { rate: 1 } for the base currency, or
+ *   null when no rate is on file that early
+ */
+export function findRate(rates = [], currency, date, base) {
+  if (!currency || currency === base) return { currency, rate: 1, date: null };
+  const day = String(date || new Date().toISOString()).slice(0, 10);
+  let best = null;
+  for (const r of rates) {
+    if (r.currency !== currency || !(r.rate > 0) || String(r.date).slice(0, 10) > day) continue;
+    if (!best || r.date > best.date) best = r;
+  }
+  return best;
+}
+
+/** An amount in the transaction's currency, in base. Rows without a rate are base already. */
+export const toBase = (amount, fxRate) => round2((Number(amount) || 0) * (fxRate > 0 ? fxRate : 1));
+
+// Money columns of each kind of row. Costs on receipt lines and returns are
+// left out: they come from stock and are already in base.
+const RECEIPT_MONEY = ['subtotal', 'discount', 'tax', 'total', 'paid', 'balance', 'tendered', 'changeGiven'];
+const LINE_MONEY = ['unitPrice', 'total'];
+const RETURN_MONEY = ['refund', 'tax'];
+// Payments listed by getPayments carry their receipt's total and tax
+const PAYMENT_MONEY = ['amount', 'receiptTotal', 'receiptTax'];
+const PAYABLE_MONEY = ['amount', 'amountPaid', 'balance'];
+
+function convert(row, fields, fxRate) {
+  const out = { ...row };
+  for (const f of fields) if (row[f] != null) out[f] = toBase(row[f], fxRate);
+  return out;
+}
+
+/**
+ * A copy of a row with its money in base, marked fxRate 1 so converting it
+ * again changes nothing.
+ * @param {Object} row - expense, payment, return or payable payment row
+ * @param {string[]} [fields] - Defaults to amount
+ */
+export function rowInBase(row, fields = ['amount']) {
+  if (!row || !(row.fxRate > 0) || row.fxRate === 1) return row;
+  return { ...convert(row, fields, row.fxRate), fxRate: 1 };
+}
+
+/** A receipt with its lines, payments and returns in base. */
+export function receiptInBase(r) {
+  if (!r || !(r.fxRate > 0) || r.fxRate === 1) return r;
+  return {
+    ...convert(r, RECEIPT_MONEY, r.fxRate),
+    fxRate: 1,
+    lines: r.lines && r.lines.map(l => convert(l, LINE_MONEY, r.fxRate)),
+    payments: r.payments && r.payments.map(p => convert(p, ['amount'], r.fxRate)),
+    returns: r.returns && r.returns.map(x => convert(x, RETURN_MONEY, r.fxRate))
+  };
+}
+
+/** A bill with its payments in base. */
+export function payableInBase(p) {
+  if (!p || !(p.fxRate > 0) || p.fxRate === 1) return p;
+  return {
+    ...convert(p, PAYABLE_MONEY, p.fxRate),
+    fxRate: 1,
+    payments: p.payments && p.payments.map(x => convert(x, ['amount'], p.fxRate))
+  };
+}
+
+export const paymentInBase = (p) => rowInBase(p, PAYMENT_MONEY);
+export const returnInBase = (x) => rowInBase(x, RETURN_MONEY);
@@ -4,14 +4,21 @@
 
 import { CapacitorSQLite, SQLiteConnection, SQLiteDBConnection } from '@capacitor-community/sqlite';
 import { Capacitor } from '@capacitor/core';
+import { computeReceiptTotals, STOCK_PURCHASE } from './plEngine.js';
+import { replayStock, valueInventory, COSTING_METHODS } from './costingEngine.js';
+import { priceCart, PRICE_LIST_SCOPES } from './pricingEngine.js';
+import { toBase } from './currencyEngine.js';
 
 const DB_NAME = 'biztrack_pro';
+// Plugin-level version passed to createConnection; the app schema version
+// is tracked separately in the schema_version table (see MIGRATIONS).
 const DB_VERSION = 1;
 
 let db = null;
 let sqliteConnection = null;
 
 // ─── SCHEMA ──────────────────────────────────────────────────────────────────
+// Baseline (version 1) schema. Do not edit — add a migration below instead.
 const SCHEMA = `
   CREATE TABLE IF NOT EXISTS settings (
     id INTEGER PRIMARY KEY,
@@ -103,38 +110,726 @@ const SCHEMA = `
   INSERT OR IGNORE INTO settings (id) VALUES (1);
 `;
 
+// ─── MIGRATIONS ──────────────────────────────────────────────────────────────
+// SCHEMA above is version 1 and must never change. Every later change is a
+// numbered migration appended here; each runs once per device inside its own
+// transaction and is recorded in schema_version, so an interrupted upgrade
+// rolls back cleanly and is retried on the next launch.
+const MIGRATIONS = [
+  {
+    version: 2,
+    name: 'inventory unit conversion + WMA cost',
+    up: async (tx) => {
+      await tx.addColumn('inventory', 'baseUnit', 'TEXT');
+      await tx.addColumn('inventory', 'purchaseUnit', 'TEXT');
+      await tx.addColumn('inventory', 'saleUnit', 'TEXT');
+      await tx.addColumn('inventory', 'conversionFactor', 'REAL DEFAULT 1');
+      await tx.addColumn('inventory', 'wmaCost', 'REAL DEFAULT 0');
+      await tx.exec(`UPDATE inventory SET baseUnit = COALESCE(NULLIF(unit, ''), 'pcs') WHERE baseUnit IS NULL`);
+      await tx.exec(`UPDATE inventory SET saleUnit = baseUnit WHERE saleUnit IS NULL`);
+      await tx.exec(`UPDATE inventory SET purchaseUnit = baseUnit WHERE purchaseUnit IS NULL`);
+      await tx.exec(`UPDATE inventory SET conversionFactor = 1 WHERE conversionFactor IS NULL OR conversionFactor <= 0`);
+      await tx.exec(`UPDATE inventory SET wmaCost = costPrice WHERE wmaCost IS NULL OR wmaCost = 0`);
+    }
+  },
+  {
+    version: 3,
+    name: 'sales receipt grouping + sale unit',
+    up: async (tx) => {
+      await tx.addColumn('sales', 'receiptId', 'TEXT');
+      await tx.addColumn('sales', 'saleUnit', 'TEXT');
+      // Pre-cart sales were one product per receipt
+      await tx.exec(`UPDATE sales SET receiptId = id WHERE receiptId IS NULL`);
+      await tx.exec(`
+        UPDATE sales SET saleUnit = COALESCE(
+          (SELECT COALESCE(i.baseUnit, i.unit) FROM inventory i WHERE i.name = sales.product COLLATE NOCASE LIMIT 1),
+          'pcs')
+        WHERE saleUnit IS NULL
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_sales_receipt ON sales (receiptId)`);
+    }
+  },
+  {
+    version: 4,
+    name: 'payables ledger',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS payables (
+          id TEXT PRIMARY KEY,
+          creditor TEXT NOT NULL,
+          category TEXT DEFAULT 'Other',
+          description TEXT,
+          amount REAL DEFAULT 0,
+          amountPaid REAL DEFAULT 0,
+          balance REAL DEFAULT 0,
+          status TEXT DEFAULT 'UNPAID',
+          dueDate TEXT,
+          notes TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'WMA cost history + stock ledger',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS wma_history (
+          id TEXT PRIMARY KEY,
+          productId TEXT NOT NULL,
+          productName TEXT,
+          purchaseQty REAL DEFAULT 0,
+          purchaseUnit TEXT,
+          conversionFactor REAL DEFAULT 1,
+          baseUnitsAdded REAL DEFAULT 0,
+          baseUnit TEXT,
+          bulkCostPerPurchaseUnit REAL DEFAULT 0,
+          newCostPerBase REAL DEFAULT 0,
+          prevStock REAL DEFAULT 0,
+          prevWMACost REAL DEFAULT 0,
+          newStock REAL DEFAULT 0,
+          newWMACost REAL DEFAULT 0,
+          sellPrice REAL DEFAULT 0,
+          alertType TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_wma_product ON wma_history (productId, date)`);
+      // baseQty is signed: positive into stock, negative out of stock
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS stock_transactions (
+          id TEXT PRIMARY KEY,
+          productId TEXT NOT NULL,
+          productName TEXT,
+          movementType TEXT NOT NULL,
+          baseQty REAL DEFAULT 0,
+          baseUnit TEXT,
+          unitCost REAL DEFAULT 0,
+          resultingBalance REAL DEFAULT 0,
+          reference TEXT,
+          notes TEXT,
+          timestamp TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_stocktx_product ON stock_transactions (productId, timestamp)`);
+    }
+  },
+  {
+    version: 6,
+    name: 'sale line inventory link',
+    up: async (tx) => {
+      await tx.addColumn('sales', 'inventoryId', 'TEXT');
+      await tx.exec(`
+        UPDATE sales SET inventoryId =
+          (SELECT i.id FROM inventory i WHERE i.name = sales.product COLLATE NOCASE LIMIT 1)
+        WHERE inventoryId IS NULL
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'audit log',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id TEXT PRIMARY KEY,
+          entity TEXT NOT NULL,
+          entityId TEXT,
+          action TEXT DEFAULT 'DELETE',
+          reason TEXT,
+          data TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'stock ledger references + opening balances',
+    up: async (tx) => {
+      await tx.addColumn('stock_transactions', 'referenceType', 'TEXT');
+      await tx.exec(`UPDATE stock_transactions SET referenceType = 'RECEIPT' WHERE movementType = 'SALE' AND referenceType IS NULL`);
+      await tx.exec(`UPDATE stock_transactions SET referenceType = movementType WHERE referenceType IS NULL`);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_stocktx_time ON stock_transactions (timestamp)`);
+      // Give every product with stock but no history a starting ledger entry,
+      // so running balances reconcile with inventory.stock from here on
+      await tx.exec(`
+        INSERT INTO stock_transactions (id,productId,productName,movementType,baseQty,baseUnit,unitCost,resultingBalance,referenceType,notes,timestamp)
+        SELECT 'STX-OPEN-' || i.id, i.id, i.name, 'RESTOCK', i.stock, COALESCE(i.baseUnit, i.unit, 'pcs'),
+               COALESCE(NULLIF(i.wmaCost, 0), i.costPrice, 0), i.stock, 'OPENING', 'Opening balance', COALESCE(i.createdAt, datetime('now'))
+        FROM inventory i
+        WHERE i.stock > 0 AND NOT EXISTS (SELECT 1 FROM stock_transactions t WHERE t.productId = i.id)
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'receipts + receipt lines',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS receipts (
+          id TEXT PRIMARY KEY,
+          invoiceNo TEXT UNIQUE,
+          customer TEXT DEFAULT 'Walk-in',
+          phone TEXT,
+          method TEXT DEFAULT 'Cash',
+          notes TEXT,
+          subtotal REAL DEFAULT 0,
+          discount REAL DEFAULT 0,
+          tax REAL DEFAULT 0,
+          total REAL DEFAULT 0,
+          paid REAL DEFAULT 0,
+          balance REAL DEFAULT 0,
+          status TEXT DEFAULT 'UNPAID',
+          dueDate TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS receipt_lines (
+          id TEXT PRIMARY KEY,
+          receiptId TEXT NOT NULL,
+          inventoryId TEXT,
+          product TEXT NOT NULL,
+          category TEXT,
+          saleUnit TEXT DEFAULT 'pcs',
+          qty REAL DEFAULT 1,
+          unitPrice REAL DEFAULT 0,
+          costPrice REAL DEFAULT 0,
+          discount REAL DEFAULT 0,
+          total REAL DEFAULT 0
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_rlines_receipt ON receipt_lines (receiptId)`);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_receipts_date ON receipts (date)`);
+
+      // Fold the flat sales rows into one header per receiptId. Line ids keep
+      // the old sale ids so returns and ledger references still resolve.
+      const groups = await tx.query(`
+        SELECT COALESCE(receiptId, id) AS rid, MIN(date) AS date, customer, phone, method, notes, dueDate,
+               SUM(qty * unitPrice) AS subtotal, SUM(total) AS total, SUM(paid) AS paid
+        FROM sales GROUP BY COALESCE(receiptId, id) ORDER BY MIN(date) ASC
+      `);
+      let seq = 0;
+      for (const g of groups) {
+        const total = round2(g.total);
+        const paid = round2(Math.min(g.paid || 0, total));
+        const balance = round2(total - paid);
+        await tx.run(`
+          INSERT INTO receipts (id,invoiceNo,customer,phone,method,notes,subtotal,discount,tax,total,paid,balance,status,dueDate,date)
+          VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+        `, [g.rid, formatInvoiceNo(++seq), g.customer || 'Walk-in', g.phone || '', g.method || 'Cash', g.notes || '',
+            round2(g.subtotal), Math.max(0, round2(g.subtotal - total)), 0, total, paid, balance,
+            paymentStatus(paid, balance), g.dueDate || null, g.date]);
+      }
+      await tx.exec(`
+        INSERT INTO receipt_lines (id,receiptId,inventoryId,product,category,saleUnit,qty,unitPrice,costPrice,discount,total)
+        SELECT id, COALESCE(receiptId, id), inventoryId, product, category, COALESCE(saleUnit, 'pcs'),
+               qty, unitPrice, costPrice, discount, total
+        FROM sales ORDER BY rowid
+      `);
+      // Keep the old rows for reference; nothing reads or writes them any more
+      await tx.exec(`ALTER TABLE sales RENAME TO sales_legacy`);
+    }
+  },
+  {
+    version: 10,
+    name: 'receipt payments',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS payments (
+          id TEXT PRIMARY KEY,
+          receiptId TEXT NOT NULL,
+          type TEXT DEFAULT 'PAYMENT',
+          amount REAL NOT NULL,
+          method TEXT DEFAULT 'Cash',
+          reference TEXT,
+          notes TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_payments_receipt ON payments (receiptId)`);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_payments_date ON payments (date)`);
+      // Whatever was paid so far becomes a single payment on the receipt date
+      await tx.exec(`
+        INSERT INTO payments (id,receiptId,type,amount,method,notes,date)
+        SELECT 'PMT-' || id, id, 'PAYMENT', paid, COALESCE(method, 'Cash'), 'Paid before payment history', date
+        FROM receipts WHERE paid > 0
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'tax mode + cash tendered',
+    up: async (tx) => {
+      await tx.addColumn('settings', 'taxInclusive', 'INTEGER DEFAULT 0');
+      // Receipts keep the tax rule they were sold under, so changing the
+      // setting later never alters old totals
+      await tx.addColumn('receipts', 'taxRate', 'REAL DEFAULT 0');
+      await tx.addColumn('receipts', 'taxInclusive', 'INTEGER DEFAULT 0');
+      await tx.addColumn('receipts', 'tendered', 'REAL DEFAULT 0');
+      await tx.addColumn('receipts', 'changeGiven', 'REAL DEFAULT 0');
+    }
+  },
+  {
+    version: 12,
+    name: 'returns against receipt lines',
+    up: async (tx) => {
+      await tx.addColumn('returns_log', 'receiptId', 'TEXT');
+      await tx.addColumn('returns_log', 'lineId', 'TEXT');
+      await tx.addColumn('returns_log', 'inventoryId', 'TEXT');
+      await tx.addColumn('returns_log', 'costPrice', 'REAL DEFAULT 0');
+      await tx.addColumn('returns_log', 'tax', 'REAL DEFAULT 0');
+      await tx.addColumn('returns_log', 'settlement', "TEXT DEFAULT 'REFUND'");
+      // Old returns pointed at a sales row, which v9 kept as the line id
+      await tx.exec(`
+        UPDATE returns_log SET lineId = saleId,
+          receiptId = (SELECT receiptId FROM receipt_lines WHERE receipt_lines.id = returns_log.saleId)
+        WHERE lineId IS NULL AND saleId IN (SELECT id FROM receipt_lines)
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_returns_receipt ON returns_log (receiptId)`);
+    }
+  },
+  {
+    version: 13,
+    name: 'recurring expenses + payables',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS recurring_templates (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL DEFAULT 'EXPENSE',
+          description TEXT NOT NULL,
+          category TEXT DEFAULT 'Other',
+          creditor TEXT,
+          amount REAL DEFAULT 0,
+          method TEXT DEFAULT 'Cash',
+          frequency TEXT NOT NULL DEFAULT 'MONTHLY',
+          dayOfMonth INTEGER,
+          startDate TEXT NOT NULL,
+          endDate TEXT,
+          paused INTEGER DEFAULT 0,
+          notes TEXT,
+          createdAt TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      // One row per occurrence that was posted or skipped; the unique key is
+      // what stops an occurrence being posted twice
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS recurring_runs (
+          id TEXT PRIMARY KEY,
+          templateId TEXT NOT NULL,
+          occurrenceDate TEXT NOT NULL,
+          status TEXT DEFAULT 'POSTED',
+          entryId TEXT,
+          date TEXT DEFAULT (datetime('now')),
+          UNIQUE (templateId, occurrenceDate)
+        )
+      `);
+      await tx.addColumn('expenses', 'recurringId', 'TEXT');
+      await tx.addColumn('payables', 'recurringId', 'TEXT');
+    }
+  },
+  {
+    version: 14,
+    name: 'payable payments + P&L basis',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS payable_payments (
+          id TEXT PRIMARY KEY,
+          payableId TEXT NOT NULL,
+          amount REAL NOT NULL,
+          method TEXT DEFAULT 'Cash',
+          reference TEXT,
+          notes TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_payable_payments_payable ON payable_payments (payableId)`);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_payable_payments_date ON payable_payments (date)`);
+      // Settlement dates were never kept; the bill date is the best guess
+      await tx.exec(`
+        INSERT INTO payable_payments (id,payableId,amount,notes,date)
+        SELECT 'PPM-' || id, id, amountPaid, 'Paid before payment history', date
+        FROM payables WHERE amountPaid > 0
+      `);
+      await tx.addColumn('settings', 'plBasis', "TEXT DEFAULT 'ACCRUAL'");
+    }
+  },
+  {
+    version: 15,
+    name: 'purchase orders + goods received',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id TEXT PRIMARY KEY,
+          poNo TEXT UNIQUE,
+          supplierId TEXT NOT NULL,
+          supplierName TEXT,
+          status TEXT DEFAULT 'OPEN',
+          total REAL DEFAULT 0,
+          expectedDate TEXT,
+          notes TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      // qty and unitCost are in the product's purchase unit at order time
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS purchase_order_lines (
+          id TEXT PRIMARY KEY,
+          poId TEXT NOT NULL,
+          inventoryId TEXT NOT NULL,
+          product TEXT,
+          purchaseUnit TEXT,
+          conversionFactor REAL DEFAULT 1,
+          qty REAL DEFAULT 0,
+          unitCost REAL DEFAULT 0,
+          qtyReceived REAL DEFAULT 0
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_po_lines_po ON purchase_order_lines (poId)`);
+      // Every delivery from a supplier, with or without an order: the
+      // supplier's purchase history and price trend
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS goods_received (
+          id TEXT PRIMARY KEY,
+          supplierId TEXT NOT NULL,
+          poId TEXT,
+          poLineId TEXT,
+          inventoryId TEXT,
+          product TEXT,
+          qty REAL DEFAULT 0,
+          purchaseUnit TEXT,
+          unitCost REAL DEFAULT 0,
+          baseQty REAL DEFAULT 0,
+          wmaHistoryId TEXT,
+          payableId TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_grn_supplier ON goods_received (supplierId, date)`);
+      await tx.addColumn('payables', 'supplierId', 'TEXT');
+      await tx.addColumn('payables', 'purchaseOrderId', 'TEXT');
+    }
+  },
+  {
+    version: 16,
+    name: 'supplier lead times',
+    up: async (tx) => {
+      await tx.addColumn('suppliers', 'leadTimeDays', 'INTEGER DEFAULT 7');
+      await tx.addColumn('suppliers', 'safetyDays', 'INTEGER DEFAULT 3');
+    }
+  },
+  {
+    version: 17,
+    name: 'stocktake sessions',
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS stocktakes (
+          id TEXT PRIMARY KEY,
+          stNo TEXT UNIQUE,
+          category TEXT,
+          status TEXT DEFAULT 'OPEN',
+          notes TEXT,
+          date TEXT DEFAULT (datetime('now')),
+          postedAt TEXT
+        )
+      `);
+      // expectedQty is frozen when the session starts; unitCost is the WMA
+      // cost, refreshed when the session is posted
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS stocktake_lines (
+          id TEXT PRIMARY KEY,
+          stocktakeId TEXT NOT NULL,
+          inventoryId TEXT NOT NULL,
+          product TEXT,
+          category TEXT,
+          baseUnit TEXT,
+          expectedQty REAL DEFAULT 0,
+          countedQty REAL,
+          unitCost REAL DEFAULT 0,
+          countedAt TEXT
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_stocktake_lines ON stocktake_lines (stocktakeId)`);
+    }
+  },
+  {
+    version: 18,
+    name: 'FIFO cost layers + costing method',
+    up: async (tx) => {
+      await tx.addColumn('settings', 'costingMethod', "TEXT DEFAULT 'WMA'");
+      // One row per batch that came into stock; remaining falls as sales,
+      // adjustments and write-offs take the oldest batches first
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS cost_layers (
+          id TEXT PRIMARY KEY,
+          productId TEXT NOT NULL,
+          sourceType TEXT,
+          reference TEXT,
+          qty REAL DEFAULT 0,
+          remaining REAL DEFAULT 0,
+          unitCost REAL DEFAULT 0,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_cost_layers_product ON cost_layers (productId, date)`);
+      // Rebuild the layers still on hand by replaying the ledger under FIFO
+      const state = replayStock(await tx.query('SELECT * FROM stock_transactions'), { method: 'FIFO' });
+      let n = 0;
+      for (const [productId, st] of state) {
+        for (const layer of st.layers) {
+          await tx.run(`
+            INSERT INTO cost_layers (id,productId,sourceType,qty,remaining,unitCost,date) VALUES (?,?,?,?,?,?,?)
+          `, ['LYR-MIG-' + (++n), productId, 'OPENING', layer.qty, layer.qty, layer.unitCost, layer.date]);
+        }
+      }
+    }
+  },
+  {
+    version: 19,
+    name: 'SKU, barcode + product variants',
+    up: async (tx) => {
+      await tx.addColumn('inventory', 'sku', 'TEXT');
+      await tx.addColumn('inventory', 'barcode', 'TEXT');
+      // A variant (size, colour…) is a product of its own — stock, price and
+      // ledger — that points at the product it belongs to
+      await tx.addColumn('inventory', 'parentId', 'TEXT');
+      await tx.addColumn('inventory', 'variantName', 'TEXT');
+      await tx.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_sku ON inventory (sku) WHERE sku IS NOT NULL AND sku <> ''`);
+      await tx.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_barcode ON inventory (barcode) WHERE barcode IS NOT NULL AND barcode <> ''`);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_inventory_parent ON inventory (parentId)`);
+    }
+  },
+  {
+    version: 20,
+    name: 'Batch numbers + expiry dates',
+    up: async (tx) => {
+      // Each cost layer is a batch; stock leaves earliest expiry first
+      await tx.addColumn('cost_layers', 'batchNo', 'TEXT');
+      await tx.addColumn('cost_layers', 'expiryDate', 'TEXT');
+      // Batches a movement came from or went into, e.g. "L204 ×6, L210 ×2"
+      await tx.addColumn('stock_transactions', 'batches', 'TEXT');
+      await tx.addColumn('settings', 'expiryWarnDays', 'INTEGER DEFAULT 30');
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_cost_layers_expiry ON cost_layers (expiryDate)`);
+    }
+  },
+  {
+    version: 21,
+    name: 'Price lists + quantity breaks',
+    up: async (tx) => {
+      // scope CUSTOMER: used by the customers put on the list;
+      // scope ALL: applies to every sale while it runs (promotions)
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS price_lists (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          scope TEXT DEFAULT 'CUSTOMER',
+          startDate TEXT,
+          endDate TEXT,
+          active INTEGER DEFAULT 1,
+          notes TEXT,
+          createdAt TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      // One row per quantity break; minQty 1 is the list's plain price
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS price_list_items (
+          id TEXT PRIMARY KEY,
+          listId TEXT NOT NULL,
+          productId TEXT NOT NULL,
+          minQty REAL DEFAULT 1,
+          price REAL DEFAULT 0
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_price_list_items_list ON price_list_items (listId, productId)`);
+      await tx.addColumn('customers', 'priceListId', 'TEXT');
+      // Lists that priced the sale, by name, for the receipt
+      await tx.addColumn('receipts', 'priceList', 'TEXT');
+      await tx.addColumn('receipt_lines', 'priceListId', 'TEXT');
+    }
+  },
+  {
+    version: 22,
+    name: 'Customer accounts by id + credit limits',
+    up: async (tx) => {
+      await tx.addColumn('receipts', 'customerId', 'TEXT');
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_receipts_customer ON receipts (customerId)`);
+      // NULL: no limit
+      await tx.addColumn('customers', 'creditLimit', 'REAL');
+      // WARN: checkout asks before going over a limit; BLOCK: it refuses
+      await tx.addColumn('settings', 'creditAction', "TEXT DEFAULT 'WARN'");
+      // Link every past receipt to the customer of that name, any case,
+      // creating the customer where upsertCustomer never did
+      const names = await tx.query(`
+        SELECT customer, MAX(phone) AS phone FROM receipts
+        WHERE customerId IS NULL AND TRIM(COALESCE(customer, '')) NOT IN ('', 'Walk-in')
+        GROUP BY customer
+      `);
+      for (const { customer, phone } of names) {
+        const found = await tx.query('SELECT id FROM customers WHERE name=? COLLATE NOCASE', [customer]);
+        let id = found.length ? found[0].id : null;
+        if (!id) {
+          id = newId('CUS');
+          await tx.run('INSERT INTO customers (id,name,phone) VALUES (?,?,?)', [id, customer, phone || '']);
+        }
+        await tx.run('UPDATE receipts SET customerId=? WHERE customerId IS NULL AND customer=? COLLATE NOCASE', [id, customer]);
+      }
+    }
+  },
+  {
+    version: 23,
+    name: 'Payment reminders log + template',
+    up: async (tx) => {
+      // channel: WHATSAPP (wa.me link) or SHARE (share sheet)
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS reminders (
+          id TEXT PRIMARY KEY,
+          customerId TEXT,
+          customer TEXT,
+          channel TEXT,
+          phone TEXT,
+          balance REAL DEFAULT 0,
+          overdue REAL DEFAULT 0,
+          message TEXT,
+          date TEXT DEFAULT (datetime('now'))
+        )
+      `);
+      await tx.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_customer ON reminders (customerId, date)`);
+      // NULL: the built-in template (agingEngine DEFAULT_REMINDER_TEMPLATE)
+      await tx.addColumn('settings', 'reminderTemplate', 'TEXT');
+    }
+  },
+  {
+    version: 24,
+    name: 'Transaction currencies + exchange rates',
+    up: async (tx) => {
+      // rate: units of the base currency (settings.currency) per 1 of currency
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+          id TEXT PRIMARY KEY,
+          currency TEXT NOT NULL,
+          rate REAL NOT NULL,
+          date TEXT NOT NULL,
+          notes TEXT
+        )
+      `);
+      await tx.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_day ON exchange_rates (currency, date)`);
+      // Each transaction keeps its own currency and the rate to base on its
+      // date; everything recorded so far was in the base currency
+      for (const table of ['receipts', 'expenses', 'payables']) {
+        await tx.addColumn(table, 'currency', 'TEXT');
+        await tx.addColumn(table, 'fxRate', 'REAL DEFAULT 1');
+        await tx.run(`UPDATE ${table} SET currency=(SELECT COALESCE(currency, 'UGX') FROM settings WHERE id=1), fxRate=1
+          WHERE currency IS NULL`);
+      }
+    }
+  },
+  {
+    version: 25,
+    name: 'Ledger cost layers',
+    up: async (tx) => {
+      // JSON [{ id, qty }]: the cost layer an incoming movement created, or
+      // the layers an outgoing one used up, so a FIFO replay takes stock from
+      // the same batches the sale did. Older movements replay oldest first.
+      await tx.addColumn('stock_transactions', 'layers', 'TEXT');
+    }
+  }
+];
+
+// Returns the schema version the database ends on
+async function runMigrations(conn) {
+  await conn.execute(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT,
+      appliedAt TEXT DEFAULT (datetime('now'))
+    );
+  `);
+  await conn.run('INSERT OR IGNORE INTO schema_version (version, name) VALUES (1, ?)', ['baseline schema']);
+
+  const res = await conn.query('SELECT MAX(version) AS version FROM schema_version');
+  const current = (res.values && res.values[0] && res.values[0].version) || 1;
+  const pending = MIGRATIONS
+    .filter(m => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  // Statements inside a migration must not open their own transactions
+  const tx = {
+    exec: (sql) => conn.execute(sql, false),
+    run: (sql, values = []) => conn.run(sql, values, false),
+    query: async (sql, values = []) => (await conn.query(sql, values)).values || [],
+    addColumn: async (table, column, type) => {
+      const cols = await tx.query(`PRAGMA table_info(${table})`);
+      if (cols.some(c => c.name === column)) return;
+      await conn.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`, false);
+    }
+  };
+
+  for (const m of pending) {
+    await conn.beginTransaction();
+    try {
+      await m.up(tx);
+      await tx.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [m.version, m.name]);
+      await conn.commitTransaction();
+    } catch (err) {
+      try { await conn.rollbackTransaction(); } catch (_) { /* already rolled back */ }
+      throw new Error(`Migration v${m.version} (${m.name}) failed: ${err.message || err}`);
+    }
+  }
+  return pending.length ? pending[pending.length - 1].version : current;
+}
+
+export async function getSchemaVersion() {
+  const rows = await dbQuery('SELECT MAX(version) AS version FROM schema_version');
+  return (rows[0] && rows[0].version) || 1;
+}
+
 // ─── INIT ─────────────────────────────────────────────────────────────────────
 export async function initDB() {
   try {
+    let conn;
     if (Capacitor.isNativePlatform()) {
-      sqliteConnection = new SQLiteConnection(CapacitorSQLite);
+      sqliteConnection = sqliteConnection || new SQLiteConnection(CapacitorSQLite);
       const ret = await sqliteConnection.checkConnectionsConsistency();
+      // Once a passphrase is in the secure store the database is opened with
+      // SQLCipher; a database still in plain SQLite is encrypted in place
+      // ('encryption' mode) the first time it is opened that way.
+      const encrypted = await isEncryptionOn();
       const isConn = (await sqliteConnection.isConnection(DB_NAME, false)).result;
 
       if (ret.result && isConn) {
-        db = await sqliteConnection.retrieveConnection(DB_NAME, false);
+        conn = await sqliteConnection.retrieveConnection(DB_NAME, false);
       } else {
-        db = await sqliteConnection.createConnection(
-          DB_NAME, false, 'no-encryption', DB_VERSION, false
+        let mode = 'no-encryption';
+        if (encrypted) {
+          const exists = (await sqliteConnection.isDatabase(DB_NAME)).result;
+          mode = exists && !(await sqliteConnection.isDatabaseEncrypted(DB_NAME)).result ? 'encryption' : 'secret';
+        }
+        conn = await sqliteConnection.createConnection(
+          DB_NAME, encrypted, mode, DB_VERSION, false
         );
       }
-      await db.open();
+      await conn.open();
     } else {
       // Web fallback using jeep-sqlite
       sqliteConnection = new SQLiteConnection(CapacitorSQLite);
-      db = await sqliteConnection.createConnection(
+      conn = await sqliteConnection.createConnection(
         DB_NAME, false, 'no-encryption', DB_VERSION, false
       );
-      await db.open();
+      await conn.open();
     }
 
     // Execute schema
     const statements = SCHEMA.split(';').map(s => s.trim()).filter(s => s.length > 0);
     for (const stmt of statements) {
-      await db.execute(stmt + ';');
+      await conn.execute(stmt + ';');
     }
+    const version = await runMigrations(conn);
 
-    console.log('BizTrack DB initialised');
+    // Only expose the connection once the schema is fully upgraded
+    db = conn;
+    console.log(`BizTrack DB initialised (schema v${version})`);
     return true;
   } catch (err) {
     console.error('DB init failed:', err);
@@ -142,16 +837,185 @@ export async function initDB() {
   }
 }
 
+// ─── ENCRYPTION ──────────────────────────────────────────────────────────────
+// SQLCipher is Android-only; the plugin keeps the passphrase in the Android
+// Keystore-backed secure store and opens the database with it. The app asks
+// for the same passphrase (or PIN) at launch before opening anything.
+const MIN_PASSPHRASE = 4;
+
+function nativeSqlite() {
+  if (!Capacitor.isNativePlatform()) return null;
+  sqliteConnection = sqliteConnection || new SQLiteConnection(CapacitorSQLite);
+  return sqliteConnection;
+}
+
+export async function isEncryptionAvailable() {
+  const sqlite = nativeSqlite();
+  if (!sqlite) return false;
+  try { return !!(await sqlite.isInConfigEncryption()).result; }
+  catch (_) { return false; }
+}
+
+// A passphrase is set, so the database is (or is about to be) encrypted
+export async function isEncryptionOn() {
+  if (!(await isEncryptionAvailable())) return false;
+  return !!(await nativeSqlite().isSecretStored()).result;
+}
+
+/**
+ * Check a passphrase against the one the database is keyed with.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>}
+ */
+export async function checkPassphrase(passphrase) {
+  if (!passphrase) return false;
+  try { return !!(await nativeSqlite().checkEncryptionSecret(passphrase)).result; }
+  catch (_) { return false; }
+}
+
+async function reopenDB() {
+  if (db) {
+    await nativeSqlite().closeConnection(DB_NAME, false);
+    db = null;
+  }
+  if (!(await initDB())) throw new Error('The database could not be reopened');
+}
+
+/**
+ * Encrypt the database on this phone with a passphrase or PIN. The existing
+ * database is converted in place on the next open, which happens here.
+ * @param {string} passphrase
+ */
+export async function enableEncryption(passphrase) {
+  if (!(await isEncryptionAvailable())) throw new Error('Encryption is only available in the Android app');
+  if (await isEncryptionOn()) throw new Error('The database is already encrypted');
+  if (String(passphrase || '').length < MIN_PASSPHRASE) throw new Error(`Use at least ${MIN_PASSPHRASE} characters`);
+  await nativeSqlite().setEncryptionSecret(passphrase);
+  await reopenDB();
+}
+
+/**
+ * Re-key the encrypted database with a new passphrase.
+ * @param {string} oldPassphrase
+ * @param {string} newPassphrase
+ */
+export async function changePassphrase(oldPassphrase, newPassphrase) {
+  if (!(await isEncryptionOn())) throw new Error('The database is not encrypted');
+  if (String(newPassphrase || '').length < MIN_PASSPHRASE) throw new Error(`Use at least ${MIN_PASSPHRASE} characters`);
+  if (!(await checkPassphrase(oldPassphrase))) throw new Error('The current passphrase is wrong');
+  if (db) {
+    await nativeSqlite().closeConnection(DB_NAME, false);
+    db = null;
+  }
+  await nativeSqlite().changeEncryptionSecret(newPassphrase, oldPassphrase);
+  await reopenDB();
+}
+
 // ─── GENERIC HELPERS ─────────────────────────────────────────────────────────
+// Reads do not wait in the write queue: while a transaction is open they see
+// its uncommitted rows, which is what its own lookups need but means a read
+// from elsewhere can see a change that is later rolled back
 export async function dbQuery(sql, values = []) {
   if (!db) await initDB();
   const res = await db.query(sql, values);
   return res.values || [];
 }
 
-export async function dbRun(sql, values = []) {
+/**
+ * Write one statement. Pass the tx handed to a withTransaction callback to
+ * write inside that transaction; without one the write commits on its own,
+ * after any transaction already queued. Writing without the tx while a
+ * transaction is open throws: the write would wait for a transaction that
+ * is itself waiting on it.
+ * @param {string} sql
+ * @param {Array} [values]
+ * @param {Object} [tx] - Transaction from withTransaction
+ */
+export async function dbRun(sql, values = [], tx = null) {
+  if (tx) {
+    assertOpen(tx);
+    // The plugin must not wrap the statement in its own transaction, or it
+    // would commit the outer one
+    return await db.run(sql, values, false);
+  }
+  assertNoneOpen();
   if (!db) await initDB();
-  return await db.run(sql, values);
+  return await enqueue(() => db.run(sql, values, true));
+}
+
+// ─── TRANSACTIONS ────────────────────────────────────────────────────────────
+// One connection serves the whole app, so writes take turns: each
+// transaction, and each write made outside one, waits in txQueue. Only
+// callers holding the open transaction's tx write into it, so helpers that
+// write as part of a larger change take the caller's tx as their last argument.
+let activeTx = null;
+let txQueue = Promise.resolve();
+
+function enqueue(job) {
+  const run = txQueue.then(job);
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+function assertOpen(tx) {
+  if (tx !== activeTx) throw new Error('That transaction has already finished');
+}
+
+function assertNoneOpen() {
+  if (activeTx) throw new Error('A transaction is open: pass its tx to write inside it');
+}
+
+/**
+ * Run fn inside a single SQLite transaction. Everything fn writes through
+ * dbRun(sql, values, tx) is committed together, or rolled back if fn throws.
+ * Pass an outer tx to run fn as part of that transaction instead; starting
+ * a new one without it while a transaction is open throws, as dbRun does.
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} [tx] - Transaction to join
+ * @returns {Promise<*>} fn's result
+ */
+export async function withTransaction(fn, tx = null) {
+  if (tx) {
+    assertOpen(tx);
+    return await fn(tx);
+  }
+  assertNoneOpen();
+  if (!db) await initDB();
+  return await enqueue(async () => {
+    const own = {};
+    await db.beginTransaction();
+    activeTx = own;
+    try {
+      const result = await fn(own);
+      await db.commitTransaction();
+      return result;
+    } catch (err) {
+      try { await db.rollbackTransaction(); } catch (rbErr) { console.error('Rollback failed:', rbErr); }
+      throw err;
+    } finally {
+      activeTx = null;
+    }
+  });
+}
+
+// IDs for rows created several at a time (cart lines, ledger entries) where
+// Date.now() alone would collide within the same millisecond
+function newId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const paymentStatus = (paid, balance) => balance <= 0.01 ? 'PAID' : paid > 0 ? 'PARTIAL' : 'UNPAID';
+
+// Copy a row into audit_log before it is deleted
+async function archiveRow(entity, table, id, reason, tx) {
+  const rows = await dbQuery(`SELECT * FROM ${table} WHERE id=?`, [id]);
+  if (!rows.length) return;
+  await dbRun(`
+    INSERT INTO audit_log (id,entity,entityId,action,reason,data,date)
+    VALUES (?,?,?,?,?,?,?)
+  `, [newId('AUD'), entity, id, 'DELETE', reason || '', JSON.stringify(rows[0]),
+      new Date().toISOString()], tx);
 }
 
 // ─── SETTINGS ────────────────────────────────────────────────────────────────
@@ -161,13 +1025,90 @@ export async function getSettings() {
 }
 
 export async function saveSettings(s) {
+  // Past transactions hold rates to the base currency, so it can only change
+  // while there are none
+  const base = (await getSettings()).currency;
+  if (base && s.currency && s.currency !== base) {
+    const used = await dbQuery(`SELECT (SELECT COUNT(*) FROM receipts) + (SELECT COUNT(*) FROM expenses)
+      + (SELECT COUNT(*) FROM payables) AS n`);
+    if (used[0].n > 0) {
+      throw new Error(`The base currency stays ${base} once sales, expenses or bills are recorded. ` +
+        `Take other currencies on each sale or expense, with a rate under Exchange Rates.`);
+    }
+  }
   await dbRun(`
     UPDATE settings SET
       bizName=?, owner=?, type=?, currency=?, payTerms=?,
-      taxRate=?, lowStock=?, invoiceFooter=?
+      taxRate=?, taxInclusive=?, lowStock=?, invoiceFooter=?, plBasis=?, costingMethod=?, expiryWarnDays=?,
+      creditAction=?, reminderTemplate=?
     WHERE id=1
   `, [s.bizName, s.owner, s.type, s.currency, s.payTerms,
-      s.taxRate, s.lowStock, s.invoiceFooter]);
+      s.taxRate, s.taxInclusive ? 1 : 0, s.lowStock, s.invoiceFooter,
+      s.plBasis === 'CASH' ? 'CASH' : 'ACCRUAL',
+      COSTING_METHODS.includes(s.costingMethod) ? s.costingMethod : 'WMA',
+      s.expiryWarnDays >= 0 ? s.expiryWarnDays : 30,
+      s.creditAction === 'BLOCK' ? 'BLOCK' : 'WARN', s.reminderTemplate || null]);
+}
+
+// ─── EXCHANGE RATES ──────────────────────────────────────────────────────────
+// Rates are entered by hand: units of the base currency (settings.currency)
+// per 1 of the other currency, one per currency per day. A transaction copies
+// the rate in force on its date, so later rates never restate it.
+export async function getExchangeRates() {
+  return await dbQuery('SELECT * FROM exchange_rates ORDER BY currency ASC, date DESC');
+}
+
+/** The latest rate for a currency on or before a date, or null. */
+export async function getExchangeRate(currency, date) {
+  const rows = await dbQuery(
+    'SELECT * FROM exchange_rates WHERE currency=? AND date<=? ORDER BY date DESC LIMIT 1',
+    [currency, String(date || new Date().toISOString()).slice(0, 10)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Add a rate, or replace the one already entered for that currency and day.
+ * @param {Object} r - { currency, rate, date (YYYY-MM-DD), notes }
+ * @returns {Promise<string>} The rate's id
+ */
+export async function saveExchangeRate(r) {
+  const base = (await getSettings()).currency;
+  const currency = String(r.currency || '').trim().toUpperCase();
+  const date = String(r.date || new Date().toISOString()).slice(0, 10);
+  if (!currency) throw new Error('Choose a currency');
+  if (currency === base) throw new Error(`${base} is the base currency — its rate is always 1`);
+  if (!(r.rate > 0)) throw new Error('Enter a rate greater than 0');
+  const found = await dbQuery('SELECT id FROM exchange_rates WHERE currency=? AND date=?', [currency, date]);
+  if (found.length) {
+    await dbRun('UPDATE exchange_rates SET rate=?, notes=? WHERE id=?', [r.rate, r.notes || '', found[0].id]);
+    return found[0].id;
+  }
+  const id = newId('FX');
+  await dbRun('INSERT INTO exchange_rates (id,currency,rate,date,notes) VALUES (?,?,?,?,?)',
+    [id, currency, r.rate, date, r.notes || '']);
+  return id;
+}
+
+export async function deleteExchangeRate(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('exchange_rate', 'exchange_rates', id, reason, tx);
+    await dbRun('DELETE FROM exchange_rates WHERE id=?', [id], tx);
+  });
+}
+
+// Currency and rate to store on a transaction dated date. A rate typed in
+// for the transaction wins over the table.
+async function resolveFx(currency, fxRate, date) {
+  const base = (await getSettings()).currency || 'UGX';
+  const cur = currency || base;
+  if (cur === base) return { currency: base, fxRate: 1 };
+  if (fxRate > 0) return { currency: cur, fxRate: Number(fxRate) };
+  const found = await getExchangeRate(cur, date);
+  if (!found) {
+    throw new Error(`No ${cur} rate on file for ${String(date).slice(0, 10)} — add one under Settings → Exchange Rates`);
+  }
+  return { currency: cur, fxRate: found.rate };
 }
 
 // ─── INVENTORY ────────────────────────────────────────────────────────────────
@@ -175,69 +1116,937 @@ export async function getInventory() {
   return await dbQuery('SELECT * FROM inventory ORDER BY name ASC');
 }
 
-export async function addProduct(p) {
-  const id = 'PRD-' + Date.now();
-  await dbRun(`
-    INSERT INTO inventory (id,name,category,unit,costPrice,sellPrice,stock,reorderLevel,supplierId,notes)
-    VALUES (?,?,?,?,?,?,?,?,?,?)
-  `, [id, p.name, p.category, p.unit, p.costPrice, p.sellPrice,
-      p.stock, p.reorderLevel, p.supplierId, p.notes]);
-  return id;
+export async function getProductById(id) {
+  const rows = await dbQuery('SELECT * FROM inventory WHERE id=?', [id]);
+  return rows[0] || null;
+}
+
+// Look a product up by SKU or barcode, as typed or scanned
+export async function findProductByCode(code) {
+  const c = String(code || '').trim();
+  if (!c) return null;
+  const rows = await dbQuery('SELECT * FROM inventory WHERE barcode=? OR UPPER(sku)=UPPER(?) LIMIT 1', [c, c]);
+  return rows[0] || null;
+}
+
+// SKUs and barcodes must each point at one product only
+async function assertCodesFree(sku, barcode, exceptId) {
+  for (const [col, val] of [['sku', sku], ['barcode', barcode]]) {
+    if (!val) continue;
+    const rows = await dbQuery(
+      `SELECT name FROM inventory WHERE ${col === 'sku' ? 'UPPER(sku)=UPPER(?)' : 'barcode=?'} AND id<>?`,
+      [val, exceptId || '']);
+    if (rows.length) throw new Error(`${col === 'sku' ? 'SKU' : 'Barcode'} ${val} is already used by ${rows[0].name}`);
+  }
+}
+
+const cleanCode = (c) => String(c || '').trim() || null;
+
+export async function addProduct(p, tx) {
+  const id = p.id || 'PRD-' + Date.now();
+  const baseUnit = p.baseUnit || p.unit || 'pcs';
+  const sku = cleanCode(p.sku);
+  const barcode = cleanCode(p.barcode);
+  await assertCodesFree(sku, barcode, id);
+  return await withTransaction(async (tx) => {
+    await dbRun(`
+      INSERT INTO inventory (id,name,category,unit,baseUnit,purchaseUnit,saleUnit,conversionFactor,
+        costPrice,wmaCost,sellPrice,stock,reorderLevel,supplierId,notes,sku,barcode,parentId,variantName)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `, [id, p.name, p.category, baseUnit, baseUnit, p.purchaseUnit || baseUnit, p.saleUnit || baseUnit,
+        p.conversionFactor || 1, p.costPrice, p.wmaCost || p.costPrice || 0, p.sellPrice,
+        0, p.reorderLevel, p.supplierId, p.notes, sku, barcode, p.parentId || null, p.variantName || null], tx);
+    // Opening stock goes through the ledger like any other receipt of goods
+    if ((p.stock || 0) > 0) {
+      await moveStock({ ...p, id, stock: 0, baseUnit }, p.stock, 'RESTOCK', {
+        unitCost: p.wmaCost || p.costPrice || 0,
+        referenceType: 'OPENING',
+        notes: 'Opening stock',
+        batchNo: p.batchNo,
+        expiryDate: p.expiryDate
+      }, tx);
+    }
+    return id;
+  }, tx);
 }
 
 export async function updateProductStock(id, newStock, costPrice, sellPrice) {
-  const updates = ['stock=?'];
-  const vals = [newStock];
-  if (costPrice !== null) { updates.push('costPrice=?'); vals.push(costPrice); }
-  if (sellPrice !== null) { updates.push('sellPrice=?'); vals.push(sellPrice); }
-  vals.push(id);
-  await dbRun(`UPDATE inventory SET ${updates.join(',')} WHERE id=?`, vals);
+  await withTransaction(async (tx) => {
+    const p = await getProductById(id);
+    if (!p) return;
+    // A direct stock edit is still a movement — log it as an adjustment
+    const delta = (newStock || 0) - (p.stock || 0);
+    if (delta !== 0) {
+      await moveStock(p, delta, delta > 0 ? 'ADJUST_IN' : 'ADJUST_OUT', {
+        referenceType: 'ADJUSTMENT',
+        notes: 'Stock edited directly'
+      }, tx);
+    }
+    const updates = [];
+    const vals = [];
+    if (costPrice != null) { updates.push('costPrice=?'); vals.push(costPrice); }
+    if (sellPrice != null) { updates.push('sellPrice=?'); vals.push(sellPrice); }
+    if (!updates.length) return;
+    vals.push(id);
+    await dbRun(`UPDATE inventory SET ${updates.join(',')} WHERE id=?`, vals, tx);
+  });
 }
 
-export async function deleteProduct(id) {
-  await dbRun('DELETE FROM inventory WHERE id=?', [id]);
+/**
+ * Add or update products from a checked import (see excelImport.js), all or
+ * nothing. New products get their opening stock as a RESTOCK movement. An
+ * existing product only takes opening stock and cost while it has no stock;
+ * otherwise those go through restock, adjustment or stocktake as usual.
+ * @param {Array} rows - validateImportRows rows without errors
+ * @returns {Promise<Object>} { created, updated, stockRows }
+ */
+export async function importProducts(rows = []) {
+  return await withTransaction(async (tx) => {
+    let created = 0, updated = 0, stockRows = 0;
+    for (const { action, productId, product: r } of rows) {
+      const cost = r.costPerBase;
+      if (action === 'NEW') {
+        await addProduct({
+          id: newId('PRD'), name: r.name, sku: r.sku, category: r.category || 'Other',
+          baseUnit: r.baseUnit, purchaseUnit: r.purchaseUnit, saleUnit: r.baseUnit, conversionFactor: r.conversionFactor,
+          costPrice: cost || 0, wmaCost: cost || 0, sellPrice: r.sellPrice || 0,
+          stock: r.stock || 0, reorderLevel: r.reorderLevel ?? 5, supplierId: null, notes: 'Imported'
+        }, tx);
+        created++;
+        if (r.stock > 0) stockRows++;
+        continue;
+      }
+      const p = await getProductById(productId);
+      if (!p) throw new Error(`${r.name} was removed while importing`);
+      if (r.sku && r.sku !== p.sku) await assertCodesFree(r.sku, null, p.id);
+      const empty = !(p.stock > 0);
+      const newCost = empty && cost != null ? cost : pWMACost(p);
+      await dbRun(`
+        UPDATE inventory SET name=?, sku=?, category=?, unit=?, baseUnit=?, purchaseUnit=?, saleUnit=?, conversionFactor=?,
+          costPrice=?, wmaCost=?, sellPrice=?, reorderLevel=? WHERE id=?
+      `, [r.name, r.sku || p.sku || null, r.category || p.category, r.baseUnit, r.baseUnit, r.purchaseUnit, r.baseUnit,
+          r.conversionFactor, newCost, newCost, r.sellPrice ?? p.sellPrice, r.reorderLevel ?? p.reorderLevel, p.id], tx);
+      if (empty && r.stock > 0) {
+        await moveStock({ ...p, baseUnit: r.baseUnit, stock: 0 }, r.stock, 'RESTOCK', {
+          unitCost: newCost, referenceType: 'OPENING', notes: 'Opening stock (import)'
+        }, tx);
+        stockRows++;
+      }
+      updated++;
+    }
+    return { created, updated, stockRows };
+  });
 }
 
-// ─── SALES ────────────────────────────────────────────────────────────────────
-export async function getSales() {
-  return await dbQuery('SELECT * FROM sales ORDER BY date DESC');
+/**
+ * Add a variant (size, colour…) under a product. The variant takes the
+ * parent's category, units, supplier and alert level, and is named
+ * "Parent (Variant)" so receipts and reports read on their own.
+ * @param {string} parentId
+ * @param {Object} v - { variantName, sku, barcode, costPrice, sellPrice, stock }
+ * @returns {Object} The new product row
+ */
+export async function addVariant(parentId, v) {
+  return await withTransaction(async (tx) => {
+    const parent = await getProductById(parentId);
+    if (!parent) throw new Error('Product not found');
+    if (parent.parentId) throw new Error('Variants cannot have variants of their own');
+    const variantName = String(v.variantName || '').trim();
+    if (!variantName) throw new Error('Enter the variant, e.g. Red / L');
+    const name = `${parent.name} (${variantName})`;
+    const dup = await dbQuery('SELECT id FROM inventory WHERE parentId=? AND UPPER(variantName)=UPPER(?)', [parentId, variantName]);
+    if (dup.length) throw new Error(`${name} already exists`);
+    const cost = v.costPrice != null ? v.costPrice : pWMACost(parent);
+    const id = newId('PRD');
+    await addProduct({
+      id, name, category: parent.category,
+      baseUnit: pBaseUnit(parent), purchaseUnit: parent.purchaseUnit, saleUnit: parent.saleUnit,
+      conversionFactor: parent.conversionFactor, costPrice: cost, wmaCost: cost,
+      sellPrice: v.sellPrice != null ? v.sellPrice : parent.sellPrice,
+      stock: v.stock || 0, reorderLevel: parent.reorderLevel, supplierId: parent.supplierId,
+      sku: v.sku || (parent.sku ? `${parent.sku}-${variantName.toUpperCase().replace(/[^A-Z0-9]+/g, '')}` : null),
+      barcode: v.barcode, parentId, variantName
+    }, tx);
+    return await getProductById(id);
+  });
 }
 
-export async function getSaleById(id) {
-  const rows = await dbQuery('SELECT * FROM sales WHERE id=?', [id]);
-  return rows[0] || null;
+export async function updateProductCodes(id, { sku, barcode }) {
+  const s = cleanCode(sku), b = cleanCode(barcode);
+  await assertCodesFree(s, b, id);
+  await dbRun('UPDATE inventory SET sku=?, barcode=? WHERE id=?', [s, b, id]);
 }
 
-export async function addSale(s) {
-  const id = 'SL-' + Date.now();
+export async function deleteProduct(id, reason) {
+  const variants = await dbQuery('SELECT COUNT(*) AS n FROM inventory WHERE parentId=?', [id]);
+  if (variants[0] && variants[0].n > 0) throw new Error('Delete this product\'s variants first');
+  await withTransaction(async (tx) => {
+    await archiveRow('inventory', 'inventory', id, reason, tx);
+    await dbRun('DELETE FROM inventory WHERE id=?', [id], tx);
+  });
+}
+
+// ─── STOCK MOVEMENTS ─────────────────────────────────────────────────────────
+const pBaseUnit = (p) => p.baseUnit || p.saleUnit || p.unit || 'pcs';
+const pWMACost = (p) => p.wmaCost || p.costPrice || 0;
+
+// Every change to inventory.stock goes through moveStock, which writes one
+// stock_transactions row per movement.
+export const MOVEMENT_TYPES = ['SALE', 'RESTOCK', 'RETURN', 'ADJUST_IN', 'ADJUST_OUT', 'DAMAGE'];
+
+// Apply a signed quantity change to a product and write the matching ledger
+// row. Outgoing stock never goes below zero: the ledger records only what was
+// on hand, with the shortfall in the notes. Incoming stock can carry a
+// batchNo and expiryDate; outgoing stock can name the batch (batchId) to take
+// first, otherwise the batch that expires soonest goes first.
+async function moveStock(product, baseQty, movementType, { unitCost, referenceType, reference, notes, batchNo, expiryDate, batchId } = {}, tx) {
+  if (!MOVEMENT_TYPES.includes(movementType)) throw new Error(`Unknown movement type: ${movementType}`);
+  const onHand = product.stock || 0;
+  const short = baseQty < 0 && onHand + baseQty < 0;
+  const moved = short ? -onHand : baseQty;
+  const newBalance = short ? 0 : onHand + baseQty;
+  if (short) notes = [notes, `${-baseQty} requested, only ${onHand} in stock`].filter(Boolean).join(' — ');
+  let cost = unitCost != null ? unitCost : pWMACost(product);
+  let batches = null;
+  let layers = [];
+  // Keep the cost layers in step with every movement, whichever method is in use
+  if (baseQty > 0) {
+    const layerId = newId('LYR');
+    await dbRun(`
+      INSERT INTO cost_layers (id,productId,sourceType,reference,qty,remaining,unitCost,date,batchNo,expiryDate) VALUES (?,?,?,?,?,?,?,?,?,?)
+    `, [layerId, product.id, movementType, reference || null, baseQty, baseQty, cost, new Date().toISOString(),
+        batchNo || null, expiryDate || null], tx);
+    if (batchNo) batches = `${batchNo} ×${baseQty}`;
+    layers = [{ id: layerId, qty: baseQty }];
+  } else if (baseQty < 0) {
+    const taken = -moved;
+    const { cost: layerCost, used } = await takeCostLayers(product.id, taken, pWMACost(product), batchId, tx);
+    if (unitCost == null && taken > 0 && (await getCostingMethod()) === 'FIFO') cost = layerCost / taken;
+    batches = used.filter(u => u.batchNo).map(u => `${u.batchNo} ×${Math.round(u.qty * 1000) / 1000}`).join(', ') || null;
+    layers = used.map(u => ({ id: u.layerId, qty: u.qty }));
+  }
+  await dbRun('UPDATE inventory SET stock=? WHERE id=?', [newBalance, product.id], tx);
   await dbRun(`
-    INSERT INTO sales (id,product,category,qty,unitPrice,costPrice,discount,total,paid,balance,status,customer,phone,method,notes,dueDate,date)
+    INSERT INTO stock_transactions (id,productId,productName,movementType,baseQty,baseUnit,unitCost,resultingBalance,referenceType,reference,notes,batches,layers,timestamp)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `, [newId('STX'), product.id, product.name, movementType, moved, pBaseUnit(product),
+      cost, newBalance,
+      referenceType || movementType, reference || null, notes || null, batches,
+      layers.length ? JSON.stringify(layers) : null, new Date().toISOString()], tx);
+  return newBalance;
+}
+
+// ─── COST LAYERS ─────────────────────────────────────────────────────────────
+export async function getCostingMethod() {
+  const rows = await dbQuery('SELECT costingMethod FROM settings WHERE id = 1');
+  return (rows[0] && rows[0].costingMethod) || 'WMA';
+}
+
+// Order stock leaves in: a named batch first, then earliest expiry (FEFO),
+// then batches with no expiry, oldest first (FIFO)
+const LAYER_ORDER = `(id = ?) DESC, (expiryDate IS NULL OR expiryDate = '') ASC, expiryDate ASC, date ASC, rowid ASC`;
+
+// Cost of the next qty units to leave stock; with take=true the layers are
+// used up. Units beyond the layers are costed at fallbackCost.
+// Returns { cost, used: [{ layerId, batchNo, expiryDate, qty }] }
+async function walkCostLayers(productId, qty, fallbackCost, take, firstLayerId, tx) {
+  const layers = await dbQuery(
+    `SELECT id, remaining, unitCost, batchNo, expiryDate FROM cost_layers WHERE productId=? AND remaining > 0 ORDER BY ${LAYER_ORDER}`,
+    [productId, firstLayerId || '']
+  );
+  let left = qty, cost = 0;
+  const used = [];
+  for (const l of layers) {
+    if (left <= 1e-9) break;
+    const n = Math.min(l.remaining, left);
+    cost += n * l.unitCost;
+    left -= n;
+    used.push({ layerId: l.id, batchNo: l.batchNo, expiryDate: l.expiryDate, qty: n });
+    const rest = l.remaining - n;
+    if (take) await dbRun('UPDATE cost_layers SET remaining=? WHERE id=?', [rest > 1e-9 ? rest : 0, l.id], tx);
+  }
+  return { cost: cost + Math.max(0, left) * fallbackCost, used };
+}
+
+const takeCostLayers = (productId, qty, fallbackCost, firstLayerId, tx) =>
+  walkCostLayers(productId, qty, fallbackCost, true, firstLayerId, tx);
+
+/**
+ * Unit cost the next qty units of a product would leave stock at, under the
+ * business costing method: the WMA cost, or the oldest FIFO layers.
+ */
+export async function saleUnitCost(product, qty) {
+  if (!(qty > 0) || (await getCostingMethod()) !== 'FIFO') return pWMACost(product);
+  return round2((await walkCostLayers(product.id, qty, pWMACost(product), false)).cost / qty);
+}
+
+// Layers (batches) still on hand, in the order they will be sold
+export async function getCostLayers(productId) {
+  return await dbQuery(
+    `SELECT * FROM cost_layers WHERE productId=? AND remaining > 0 ORDER BY ${LAYER_ORDER}`, [productId, '']
+  );
+}
+
+// Every batch on hand across all products, for the Excel export
+export async function getStockBatches() {
+  return await dbQuery(`
+    SELECT l.*, i.name AS product FROM cost_layers l JOIN inventory i ON i.id = l.productId
+    WHERE l.remaining > 0
+    ORDER BY i.name ASC, (l.expiryDate IS NULL OR l.expiryDate = '') ASC, l.expiryDate ASC, l.date ASC
+  `);
+}
+
+/**
+ * Batches on hand that expire within the given number of days, or already
+ * have. Soonest first.
+ * @param {number} [withinDays] - Defaults to settings.expiryWarnDays
+ * @returns {Promise<Array>} cost_layers rows plus product, baseUnit, daysLeft,
+ *   expired and value (remaining × unit cost)
+ */
+export async function getExpiringStock(withinDays) {
+  if (withinDays == null) withinDays = (await getSettings()).expiryWarnDays ?? 30;
+  const today = new Date().toISOString().slice(0, 10);
+  const limit = new Date(Date.now() + withinDays * 86400000).toISOString().slice(0, 10);
+  const rows = await dbQuery(`
+    SELECT l.*, i.name AS product, COALESCE(i.baseUnit, i.unit) AS baseUnit
+    FROM cost_layers l JOIN inventory i ON i.id = l.productId
+    WHERE l.remaining > 0 AND l.expiryDate IS NOT NULL AND l.expiryDate <> '' AND l.expiryDate <= ?
+    ORDER BY l.expiryDate ASC, i.name ASC
+  `, [limit]);
+  return rows.map(r => ({
+    ...r,
+    expired: r.expiryDate < today,
+    daysLeft: Math.round((new Date(r.expiryDate) - new Date(today)) / 86400000),
+    value: round2(r.remaining * r.unitCost)
+  }));
+}
+
+/**
+ * Write off what is left of an expired (or spoilt) batch as DAMAGE, through
+ * the normal stock adjustment path.
+ * @param {string} layerId - cost_layers id
+ * @returns {Promise<Object>} The adjustment result
+ */
+export async function writeOffBatch(layerId) {
+  const rows = await dbQuery('SELECT * FROM cost_layers WHERE id=?', [layerId]);
+  const layer = rows[0];
+  if (!layer || !(layer.remaining > 0)) throw new Error('Nothing left in this batch');
+  const p = await getProductById(layer.productId);
+  if (!p) throw new Error('Product not found');
+  const label = layer.batchNo ? `batch ${layer.batchNo}` : 'batch';
+  const reason = layer.expiryDate ? `Expired ${layer.expiryDate} — ${label}` : `Written off — ${label}`;
+  return await addStockAdjustment(p.id, 'DAMAGE', Math.min(layer.remaining, p.stock || 0), reason, { batchId: layerId });
+}
+
+/**
+ * Stock valuation at the end of a date, replayed from the ledger.
+ * @param {string} [asOf] - YYYY-MM-DD; defaults to today
+ * @param {string} [method] - 'WMA' or 'FIFO'; defaults to the business setting
+ * @returns {Promise<Object>} { method, asOf, rows, totalValue, totalQty }
+ */
+export async function getInventoryValuation(asOf, method) {
+  const until = asOf || new Date().toISOString().slice(0, 10);
+  const transactions = await dbQuery(
+    'SELECT productId, productName, baseQty, unitCost, resultingBalance, layers, timestamp FROM stock_transactions WHERE timestamp <= ? ORDER BY timestamp ASC, rowid ASC',
+    [until + 'T23:59:59.999Z']
+  );
+  return valueInventory(await getInventory(), transactions, { method: method || await getCostingMethod(), asOf: until });
+}
+
+/**
+ * Per-product stock ledger, most recent first.
+ * @param {string} productId
+ * @param {string} [fromDate] - YYYY-MM-DD, inclusive
+ * @param {string} [toDate] - YYYY-MM-DD, inclusive
+ */
+export async function getStockLedger(productId, fromDate, toDate) {
+  return await dbQuery(`
+    SELECT * FROM stock_transactions
+    WHERE productId=? AND timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp DESC, rowid DESC
+  `, [productId, fromDate || '0000', (toDate || '9999') + 'T23:59:59']);
+}
+
+/**
+ * Date-range movement report: every movement in the range plus a per-product
+ * summary with opening balance, quantities by movement type and closing balance.
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { fromDate, toDate, movements, products }
+ */
+export async function getStockMovementReport(fromDate, toDate) {
+  const movements = await dbQuery(`
+    SELECT * FROM stock_transactions
+    WHERE timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp ASC, rowid ASC
+  `, [fromDate, toDate + 'T23:59:59']);
+
+  const map = {};
+  for (const m of movements) {
+    if (!map[m.productId]) {
+      map[m.productId] = {
+        productId: m.productId,
+        productName: m.productName,
+        baseUnit: m.baseUnit,
+        opening: (m.resultingBalance || 0) - (m.baseQty || 0),
+        closing: 0,
+        qtyIn: 0,
+        qtyOut: 0,
+        valueIn: 0,
+        valueOut: 0,
+        byType: Object.fromEntries(MOVEMENT_TYPES.map(t => [t, 0])),
+        count: 0
+      };
+    }
+    const p = map[m.productId];
+    const qty = m.baseQty || 0;
+    const value = Math.abs(qty) * (m.unitCost || 0);
+    if (qty >= 0) { p.qtyIn += qty; p.valueIn += value; }
+    else { p.qtyOut += -qty; p.valueOut += value; }
+    p.byType[m.movementType] = (p.byType[m.movementType] || 0) + Math.abs(qty);
+    p.closing = m.resultingBalance || 0;
+    p.count += 1;
+  }
+  const products = Object.values(map).sort((a, b) => (a.productName || '').localeCompare(b.productName || ''));
+  return { fromDate, toDate, movements, products };
+}
+
+export async function getAllStockTransactions() {
+  return await dbQuery('SELECT * FROM stock_transactions ORDER BY timestamp DESC, rowid DESC');
+}
+
+const ADJUSTMENT_TYPES = ['ADJUST_IN', 'ADJUST_OUT', 'DAMAGE'];
+
+/**
+ * Log a manual stock correction or write-off.
+ * @param {string} productId
+ * @param {'ADJUST_IN'|'ADJUST_OUT'|'DAMAGE'} type
+ * @param {number} qty - Base units, always positive
+ * @param {string} reason - Required for the audit trail
+ * @param {Object} [opts] - { batchId } batch to take stock out of first
+ * @returns {Promise<Object>} { id, movementType, qty, prevBalance, newBalance }
+ */
+export async function addStockAdjustment(productId, type, qty, reason, opts = {}) {
+  if (!ADJUSTMENT_TYPES.includes(type)) throw new Error(`Unknown adjustment type: ${type}`);
+  if (!(qty > 0)) throw new Error('Quantity must be greater than 0');
+  if (!reason) throw new Error('A reason is required for stock adjustments');
+  return await withTransaction(async (tx) => {
+    const p = await getProductById(productId);
+    if (!p) throw new Error('Product not found');
+    const prevBalance = p.stock || 0;
+    if (type !== 'ADJUST_IN' && qty > prevBalance) {
+      throw new Error(`Only ${prevBalance} ${pBaseUnit(p)} in stock — cannot remove ${qty}`);
+    }
+    if (opts.batchId && type !== 'ADJUST_IN') {
+      const layer = (await dbQuery('SELECT remaining, batchNo FROM cost_layers WHERE id=? AND productId=?', [opts.batchId, productId]))[0];
+      if (!layer) throw new Error('Batch not found for this product');
+      if (qty > layer.remaining + 1e-9) throw new Error(`Only ${layer.remaining} ${pBaseUnit(p)} left in batch ${layer.batchNo || ''}`.trim());
+    }
+    const newBalance = await moveStock(p, type === 'ADJUST_IN' ? qty : -qty, type, {
+      referenceType: 'ADJUSTMENT',
+      notes: reason,
+      batchId: type === 'ADJUST_IN' ? null : opts.batchId
+    }, tx);
+    return { productId, movementType: type, qty, prevBalance, newBalance };
+  });
+}
+
+// ─── STOCKTAKE ───────────────────────────────────────────────────────────────
+// A stocktake freezes the expected quantity of every product (or one
+// category) when it starts. Counts can be saved over several sittings; posting
+// writes each variance to the ledger as an ADJUST_IN / ADJUST_OUT movement at
+// WMA cost. Stock sold while the count was under way is left alone, because
+// only the difference between counted and frozen quantities is applied.
+const formatStNo = (n) => 'ST-' + String(n).padStart(5, '0');
+
+// Per-line variance plus session totals; uncounted lines carry no variance
+function withVariance(session, lines) {
+  const rows = lines.map(l => {
+    const counted = l.countedQty != null;
+    const varianceQty = counted ? round2(l.countedQty - l.expectedQty) : 0;
+    return { ...l, counted, varianceQty, varianceValue: round2(varianceQty * (l.unitCost || 0)) };
+  });
+  const sum = (f) => round2(rows.reduce((t, l) => t + f(l), 0));
+  return {
+    ...session,
+    lines: rows,
+    summary: {
+      products: rows.length,
+      counted: rows.filter(l => l.counted).length,
+      expectedValue: sum(l => l.expectedQty * (l.unitCost || 0)),
+      countedValue: sum(l => l.counted ? l.countedQty * (l.unitCost || 0) : 0),
+      shrinkageValue: sum(l => Math.min(0, l.varianceValue)),
+      surplusValue: sum(l => Math.max(0, l.varianceValue)),
+      varianceValue: sum(l => l.varianceValue)
+    }
+  };
+}
+
+export async function getStocktakes() {
+  const sessions = await dbQuery('SELECT * FROM stocktakes ORDER BY date DESC');
+  if (!sessions.length) return sessions;
+  const lines = await dbQuery('SELECT * FROM stocktake_lines ORDER BY product ASC');
+  const by = {};
+  for (const l of lines) (by[l.stocktakeId] = by[l.stocktakeId] || []).push(l);
+  return sessions.map(st => withVariance(st, by[st.id] || []));
+}
+
+export async function getStocktake(id) {
+  const rows = await dbQuery('SELECT * FROM stocktakes WHERE id=?', [id]);
+  if (!rows[0]) return null;
+  const lines = await dbQuery('SELECT * FROM stocktake_lines WHERE stocktakeId=? ORDER BY product ASC', [id]);
+  return withVariance(rows[0], lines);
+}
+
+/**
+ * Start a stocktake, freezing current quantities.
+ * @param {Object} opts - { category } (omit for every product), { notes }
+ * @returns {Promise<Object>} The session with its lines
+ */
+export async function startStocktake({ category, notes } = {}) {
+  const open = await dbQuery(`SELECT stNo FROM stocktakes WHERE status='OPEN'`);
+  if (open.length) throw new Error(`Finish or cancel ${open[0].stNo} first`);
+  const products = (await getInventory()).filter(p => !category || p.category === category);
+  if (!products.length) throw new Error('No products to count');
+  const id = newId('STK');
+  await withTransaction(async (tx) => {
+    const max = await dbQuery(`SELECT MAX(CAST(SUBSTR(stNo, 4) AS INTEGER)) AS n FROM stocktakes WHERE stNo LIKE 'ST-%'`);
+    await dbRun(`INSERT INTO stocktakes (id,stNo,category,status,notes,date) VALUES (?,?,?,?,?,?)`,
+      [id, formatStNo(((max[0] && max[0].n) || 0) + 1), category || null, 'OPEN', notes || '', new Date().toISOString()], tx);
+    for (const p of products) {
+      await dbRun(`
+        INSERT INTO stocktake_lines (id,stocktakeId,inventoryId,product,category,baseUnit,expectedQty,unitCost)
+        VALUES (?,?,?,?,?,?,?,?)
+      `, [newId('STL'), id, p.id, p.name, p.category || '', pBaseUnit(p), p.stock || 0, pWMACost(p)], tx);
+    }
+  });
+  return await getStocktake(id);
+}
+
+/**
+ * Save counted quantities; call again in later sittings. A null count clears it.
+ * @param {Array} counts - [{ lineId, countedQty }]
+ */
+export async function saveStocktakeCounts(id, counts = []) {
+  const st = await getStocktake(id);
+  if (!st) throw new Error('Stocktake not found');
+  if (st.status !== 'OPEN') throw new Error(`${st.stNo} is already ${st.status.toLowerCase()}`);
+  const now = new Date().toISOString();
+  await withTransaction(async (tx) => {
+    for (const c of counts) {
+      const qty = c.countedQty == null || c.countedQty === '' ? null : Number(c.countedQty);
+      if (qty != null && !(qty >= 0)) throw new Error('Counts cannot be negative');
+      await dbRun('UPDATE stocktake_lines SET countedQty=?, countedAt=? WHERE id=? AND stocktakeId=?',
+        [qty, qty == null ? null : now, c.lineId, id], tx);
+    }
+  });
+  return await getStocktake(id);
+}
+
+/**
+ * Post every counted variance as a stock adjustment and close the session.
+ * Lines never counted are left as they are.
+ * @returns {Promise<Object>} The posted session
+ */
+export async function postStocktake(id) {
+  const st = await getStocktake(id);
+  if (!st) throw new Error('Stocktake not found');
+  if (st.status !== 'OPEN') throw new Error(`${st.stNo} is already ${st.status.toLowerCase()}`);
+  if (!st.summary.counted) throw new Error('Enter at least one count before posting');
+  await withTransaction(async (tx) => {
+    for (const l of st.lines.filter(x => x.counted)) {
+      const p = await getProductById(l.inventoryId);
+      if (!p) continue;
+      const unitCost = pWMACost(p);
+      await dbRun('UPDATE stocktake_lines SET unitCost=? WHERE id=?', [unitCost, l.id], tx);
+      if (Math.abs(l.varianceQty) < 1e-9) continue;
+      await moveStock(p, l.varianceQty, l.varianceQty > 0 ? 'ADJUST_IN' : 'ADJUST_OUT', {
+        unitCost,
+        referenceType: 'STOCKTAKE',
+        reference: st.id,
+        notes: `${st.stNo}: counted ${l.countedQty}, expected ${l.expectedQty}`
+      }, tx);
+    }
+    await dbRun(`UPDATE stocktakes SET status='POSTED', postedAt=? WHERE id=?`, [new Date().toISOString(), id], tx);
+  });
+  return await getStocktake(id);
+}
+
+export async function cancelStocktake(id) {
+  await dbRun(`UPDATE stocktakes SET status='CANCELLED' WHERE id=? AND status='OPEN'`, [id]);
+}
+
+// ─── WMA RESTOCK ─────────────────────────────────────────────────────────────
+const MARGIN_FLOOR_PCT = 30;
+const marginPct = (sell, cost) => sell > 0 ? round2(((sell - cost) / sell) * 100) : 0;
+
+function calcWMA(prevStock, prevCost, addedQty, addedCost) {
+  if (prevStock <= 0 || prevCost <= 0) return addedCost;
+  return (prevStock * prevCost + addedQty * addedCost) / (prevStock + addedQty);
+}
+
+// Classify a cost change so the UI can show the right post-restock alert
+function wmaAlert(prevStock, prevCost, newCost, sellPrice) {
+  if (prevStock <= 0 || prevCost <= 0) return { alertType: 'INITIAL', alertData: {} };
+  const delta = newCost - prevCost;
+  if (Math.abs(delta) <= 0.001) return { alertType: 'NO_CHANGE', alertData: {} };
+  if (delta < 0) {
+    const oldMarginPct = marginPct(sellPrice, prevCost);
+    const newMarginPct = marginPct(sellPrice, newCost);
+    return {
+      alertType: 'MARGIN_GAIN',
+      alertData: {
+        oldMarginPct, newMarginPct,
+        marginGainPct: round2(newMarginPct - oldMarginPct),
+        profitGainPerUnit: prevCost - newCost,
+        currentSellPrice: sellPrice
+      }
+    };
+  }
+  const currentMarginPct = marginPct(sellPrice, newCost);
+  const isBelowFloor = currentMarginPct < MARGIN_FLOOR_PCT;
+  return {
+    alertType: 'PRICE_PROTECTION',
+    alertData: {
+      minSellPrice30pct: Math.ceil((newCost / (1 - MARGIN_FLOOR_PCT / 100)) * 100) / 100,
+      currentSellPrice: sellPrice,
+      currentMarginPct,
+      isBelowFloor,
+      costDeltaPct: (delta / prevCost) * 100,
+      shortfallPct: isBelowFloor ? round2(MARGIN_FLOOR_PCT - currentMarginPct) : 0
+    }
+  };
+}
+
+/**
+ * Receive stock bought in purchase units and re-price it by weighted moving average.
+ * @param {string} productId
+ * @param {number} purchaseQty - Quantity in the product's purchase unit (bags, crates…)
+ * @param {number} bulkCost - Cost per purchase unit
+ * @param {number|null} newSellPrice - Optional new sell price per base unit
+ * @param {Object} [opts] - { supplierId, amountPaid, method, dueDate, batchNo, expiryDate } —
+ *   with a supplier the delivery goes into their purchase history and a payable
+ *   is raised for whatever was not paid on the spot
+ * @returns {Promise<Object>} Calculation breakdown plus alertType / alertData for the UI
+ */
+export async function restockWithWMA(productId, purchaseQty, bulkCost, newSellPrice = null, opts = {}) {
+  const batch = { batchNo: opts.batchNo, expiryDate: opts.expiryDate };
+  if (opts.supplierId) {
+    return await withTransaction(async (tx) => {
+      const result = await applyRestock(productId, purchaseQty, bulkCost, newSellPrice, batch, tx);
+      const supplier = await getSupplierById(opts.supplierId);
+      if (!supplier) throw new Error('Supplier not found');
+      result.payableId = await recordPurchase(supplier, null, [{ result, qty: purchaseQty, unitCost: bulkCost }], opts, tx);
+      return result;
+    });
+  }
+  return await withTransaction((tx) => applyRestock(productId, purchaseQty, bulkCost, newSellPrice, batch, tx));
+}
+
+async function applyRestock(productId, purchaseQty, bulkCost, newSellPrice, batch = {}, tx) {
+  if (!(purchaseQty > 0)) throw new Error('Quantity must be greater than 0');
+  if (!(bulkCost > 0)) throw new Error('Cost must be greater than 0');
+  const p = await getProductById(productId);
+  if (!p) throw new Error('Product not found');
+
+  const baseUnit = pBaseUnit(p);
+  const purchaseUnit = p.purchaseUnit || baseUnit;
+  const cf = p.conversionFactor > 0 ? p.conversionFactor : 1;
+  const prevStock = p.stock || 0;
+  const prevWMACost = pWMACost(p);
+  const baseUnitsAdded = purchaseQty * cf;
+  const newCostPerBase = bulkCost / cf;
+  const newWMACost = calcWMA(prevStock, prevWMACost, baseUnitsAdded, newCostPerBase);
+  const sellPrice = newSellPrice || p.sellPrice || 0;
+  const { alertType, alertData } = wmaAlert(prevStock, prevWMACost, newWMACost, sellPrice);
+  const date = new Date().toISOString();
+  const historyId = newId('WMA');
+
+  const newStock = await moveStock(p, baseUnitsAdded, 'RESTOCK', {
+    unitCost: newCostPerBase,
+    referenceType: 'RESTOCK',
+    reference: historyId,
+    notes: `${purchaseQty} ${purchaseUnit} @ ${bulkCost}`,
+    batchNo: batch.batchNo,
+    expiryDate: batch.expiryDate
+  }, tx);
+  await dbRun('UPDATE inventory SET wmaCost=?, costPrice=?, sellPrice=? WHERE id=?',
+    [newWMACost, newWMACost, sellPrice, productId], tx);
+  await dbRun(`
+    INSERT INTO wma_history (id,productId,productName,purchaseQty,purchaseUnit,conversionFactor,baseUnitsAdded,baseUnit,
+      bulkCostPerPurchaseUnit,newCostPerBase,prevStock,prevWMACost,newStock,newWMACost,sellPrice,alertType,date)
     VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
-  `, [id, s.product, s.category, s.qty, s.unitPrice, s.costPrice,
-      s.discount, s.total, s.paid, s.balance, s.status,
-      s.customer, s.phone, s.method, s.notes, s.dueDate,
-      s.date || new Date().toISOString()]);
+  `, [historyId, productId, p.name, purchaseQty, purchaseUnit, cf, baseUnitsAdded, baseUnit,
+      bulkCost, newCostPerBase, prevStock, prevWMACost, newStock, newWMACost, sellPrice, alertType, date], tx);
+
+  return {
+    product: { ...p, stock: newStock, wmaCost: newWMACost, costPrice: newWMACost, sellPrice },
+    productId, historyId,
+    productName: p.name,
+    purchaseQty, purchaseUnit, baseUnitsAdded, baseUnit,
+    bulkCostPerPurchaseUnit: bulkCost, newCostPerBase,
+    prevStock, prevWMACost, newStock, newWMACost,
+    newSellPrice: sellPrice,
+    alertType, alertData
+  };
+}
+
+export async function getWMAHistory(productId) {
+  return await dbQuery('SELECT * FROM wma_history WHERE productId=? ORDER BY date DESC', [productId]);
+}
+
+// ─── RECEIPTS ─────────────────────────────────────────────────────────────────
+// A sale is a receipt header (customer, totals, payment state) plus one
+// receipt_lines row per product. Money received is recorded in payments;
+// the header's paid/balance/status are recomputed from those rows.
+const formatInvoiceNo = (n) => 'INV-' + String(n).padStart(5, '0');
+
+async function nextInvoiceNo() {
+  const rows = await dbQuery(
+    `SELECT MAX(CAST(SUBSTR(invoiceNo, 5) AS INTEGER)) AS n FROM receipts WHERE invoiceNo LIKE 'INV-%'`
+  );
+  return formatInvoiceNo(((rows[0] && rows[0].n) || 0) + 1);
+}
+
+// Attach each header's lines, payments and returns as receipt.lines /
+// receipt.payments / receipt.returns
+async function withLines(receipts) {
+  if (!receipts.length) return receipts;
+  const ids = receipts.map(r => r.id);
+  const marks = ids.map(() => '?').join(',');
+  const lines = await dbQuery(
+    `SELECT * FROM receipt_lines WHERE receiptId IN (${marks}) ORDER BY rowid ASC`, ids
+  );
+  const payments = await dbQuery(
+    `SELECT * FROM payments WHERE receiptId IN (${marks}) ORDER BY date ASC, rowid ASC`, ids
+  );
+  const group = (rows) => {
+    const by = {};
+    for (const row of rows) (by[row.receiptId] = by[row.receiptId] || []).push(row);
+    return by;
+  };
+  const returns = await dbQuery(
+    `SELECT * FROM returns_log WHERE receiptId IN (${marks}) ORDER BY date ASC, rowid ASC`, ids
+  );
+  const linesBy = group(lines);
+  const paymentsBy = group(payments);
+  const returnsBy = group(returns);
+  return receipts.map(r => ({
+    ...r, lines: linesBy[r.id] || [], payments: paymentsBy[r.id] || [], returns: returnsBy[r.id] || []
+  }));
+}
+
+export async function getReceipts() {
+  return await withLines(await dbQuery('SELECT * FROM receipts ORDER BY date DESC'));
+}
+
+export async function getReceiptById(id) {
+  const rows = await withLines(await dbQuery('SELECT * FROM receipts WHERE id=?', [id]));
+  return rows[0] || null;
+}
 
-  // Deduct inventory
-  if (s.inventoryId) {
-    await dbRun('UPDATE inventory SET stock = MAX(0, stock - ?) WHERE id=?',
-      [s.qty, s.inventoryId]);
+/**
+ * Save a cart as one receipt: a header row plus one line per cart item.
+ * The header, lines, stock decrements, the customer record and the initial
+ * payment are written in one transaction — a failure part-way through
+ * leaves nothing behind.
+ * @param {Array} cart - [{product,category,saleUnit,qty,unitPrice,costPrice,discount,lineTotal,inventoryId}]
+ * Tax follows the taxRate / taxInclusive settings via computeReceiptTotals.
+ * @param {Object} r - { receiptId, customer, phone, method, reference, notes, totalPaid, tendered, dueDate, date,
+ *   currency, fxRate } Cart prices and totalPaid are in currency (base when blank); fxRate defaults to
+ *   the rate on file for the sale date.
+ * @returns {Promise<Object>} { receiptId, invoiceNo, lineIds, total, paid, balance, currency, fxRate }
+ */
+export async function addSaleCart(cart, r = {}) {
+  if (!cart || cart.length === 0) throw new Error('Cart is empty');
+  return await withTransaction((tx) => writeSaleCart(cart, r, tx));
+}
+
+async function writeSaleCart(cart, r, tx) {
+  const receiptId = r.receiptId || newId('RCP');
+  const invoiceNo = await nextInvoiceNo();
+  const date = r.date || new Date().toISOString();
+  const customer = r.customer || 'Walk-in';
+  const customerId = customer === 'Walk-in' ? null : (r.customerId || await upsertCustomer(customer, r.phone, tx));
+  // Stock lines take their price from the customer's list or a running promotion
+  const products = new Map();
+  for (const item of cart) {
+    if (item.inventoryId && !products.has(item.inventoryId)) {
+      const p = await getProductById(item.inventoryId);
+      if (p) products.set(item.inventoryId, p);
+    }
+  }
+  const priceListId = r.priceListId !== undefined ? r.priceListId : await customerPriceListId(customerId);
+  const fx = await resolveFx(r.currency, r.fxRate, date);
+  // Shelf and list prices are in base; a sale in another currency takes them at its rate
+  let lists = await getPriceLists();
+  let pricing = products;
+  if (fx.fxRate !== 1) {
+    const inSale = (n) => round2((n || 0) / fx.fxRate);
+    lists = lists.map(l => ({ ...l, items: (l.items || []).map(it => ({ ...it, price: inSale(it.price) })) }));
+    pricing = new Map([...products].map(([id, p]) => [id, { ...p, sellPrice: inSale(p.sellPrice) }]));
+  }
+  const priced = priceCart(cart, pricing, lists, { priceListId, date });
+  // Stock lines are totalled here from quantity and price, whatever the caller sent
+  cart = priced.lines.map(l => products.has(l.inventoryId)
+    ? { ...l, lineTotal: round2((l.qty || 0) * (l.unitPrice || 0) * (1 - (l.discount || 0) / 100)) }
+    : l);
+  const t = computeReceiptTotals(cart, await getSettings());
+  const total = t.total;
+  const paid = round2(Math.min(Math.max(0, r.totalPaid || 0), total));
+  // Cash handed over can exceed the total; the difference went back as change
+  const tendered = round2(Math.max(r.tendered || 0, paid));
+  if (customerId && total - paid > 0.005) {
+    const credit = await getCustomerCredit(customerId);
+    const owing = round2(credit.outstanding + toBase(total - paid, fx.fxRate));
+    if (credit.limit != null && owing > credit.limit + 0.005 && (await getSettings()).creditAction === 'BLOCK') {
+      throw new Error(`${customer} would owe ${owing.toLocaleString()}, over their credit limit of ${credit.limit.toLocaleString()}`);
+    }
+  }
+
+  await dbRun(`
+    INSERT INTO receipts (id,invoiceNo,customer,customerId,phone,method,notes,subtotal,discount,taxRate,taxInclusive,tax,total,
+      paid,balance,status,tendered,changeGiven,dueDate,date,priceList,currency,fxRate)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `, [receiptId, invoiceNo, customer, customerId, r.phone || '', r.method || 'Cash', r.notes || '',
+      t.subtotal, t.discount, t.taxRate, t.taxInclusive ? 1 : 0, t.tax, total,
+      0, total, paymentStatus(0, total), tendered, round2(tendered - paid), r.dueDate || null, date,
+      priced.listNames.join(', ') || null, fx.currency, fx.fxRate], tx);
+
+  const lineIds = [];
+  for (const item of cart) {
+    const id = newId('SL');
+    const p = item.inventoryId ? products.get(item.inventoryId) || null : null;
+    // Freeze the line's cost under the costing method; FIFO prices the units
+    // from the oldest batches still on hand
+    const costPrice = p ? await saleUnitCost(p, item.qty || 0) : (item.costPrice || 0);
+    await dbRun(`
+      INSERT INTO receipt_lines (id,receiptId,inventoryId,product,category,saleUnit,qty,unitPrice,costPrice,discount,total,priceListId)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?)
+    `, [id, receiptId, item.inventoryId || null, item.product, item.category || '',
+        item.saleUnit || 'pcs', item.qty, item.unitPrice, costPrice,
+        item.discount || 0, item.lineTotal || 0, item.priceListId || null], tx);
+    lineIds.push(id);
+
+    if (p) {
+      const stock = await moveStock(p, -(item.qty || 0), 'SALE', {
+        unitCost: costPrice, referenceType: 'RECEIPT', reference: receiptId
+      }, tx);
+      // A later line of the same product starts from what this one left
+      products.set(p.id, { ...p, stock });
+    }
+  }
+
+  if (paid > 0) {
+    await insertPayment(receiptId, 'PAYMENT', paid, {
+      method: r.method, reference: r.reference, notes: 'Paid at checkout', date
+    }, tx);
   }
+  const { balance } = await refreshReceiptBalance(receiptId, tx);
+  return { receiptId, invoiceNo, lineIds, total, paid, balance, priceList: priced.listNames.join(', ') || null, ...fx };
+}
+
+// ─── RECEIPT PAYMENTS ────────────────────────────────────────────────────────
+async function insertPayment(receiptId, type, amount, { method, reference, notes, date } = {}, tx) {
+  const id = newId('PMT');
+  await dbRun(`
+    INSERT INTO payments (id,receiptId,type,amount,method,reference,notes,date)
+    VALUES (?,?,?,?,?,?,?,?)
+  `, [id, receiptId, type, round2(amount), method || 'Cash', reference || '', notes || '',
+      date || new Date().toISOString()], tx);
   return id;
 }
 
-export async function recordPayment(saleId, amount) {
-  const sale = await getSaleById(saleId);
-  if (!sale) return;
-  const newPaid = (sale.paid || 0) + amount;
-  const newBalance = Math.max(0, (sale.total || 0) - newPaid);
-  const status = newBalance <= 0 ? 'PAID' : 'PARTIAL';
-  await dbRun('UPDATE sales SET paid=?, balance=?, status=? WHERE id=?',
-    [newPaid, newBalance, status, saleId]);
+// Recompute a receipt's paid/balance/status from its payments. Goods
+// returned against the receipt come off what the customer owes.
+async function refreshReceiptBalance(receiptId, tx) {
+  const rows = await dbQuery(
+    `SELECT r.total, COALESCE(SUM(p.amount), 0) AS paid,
+       (SELECT COALESCE(SUM(refund), 0) FROM returns_log WHERE receiptId = r.id) AS returned
+     FROM receipts r LEFT JOIN payments p ON p.receiptId = r.id
+     WHERE r.id=? GROUP BY r.id`, [receiptId]
+  );
+  if (!rows.length) return null;
+  const paid = round2(rows[0].paid);
+  const balance = round2(Math.max(0, (rows[0].total || 0) - (rows[0].returned || 0) - paid));
+  const status = paymentStatus(paid, balance);
+  await dbRun('UPDATE receipts SET paid=?, balance=?, status=? WHERE id=?',
+    [paid, balance, status, receiptId], tx);
+  return { paid, balance, status };
+}
+
+/**
+ * Record an instalment against a receipt. Overpayment is capped at the balance.
+ * @param {string} receiptId
+ * @param {number} amount
+ * @param {Object} opts - { method, reference (e.g. mobile money transaction ID), notes, date }
+ * @returns {Promise<Object|null>} The updated receipt with lines and payments
+ */
+export async function recordReceiptPayment(receiptId, amount, opts = {}) {
+  const done = await withTransaction(async (tx) => {
+    const rcpt = await getReceiptById(receiptId);
+    if (!rcpt) return false;
+    const applied = round2(Math.min(Math.max(0, amount || 0), rcpt.balance || 0));
+    if (applied <= 0) throw new Error('Receipt is already fully paid');
+    await insertPayment(receiptId, 'PAYMENT', applied, opts, tx);
+    await refreshReceiptBalance(receiptId, tx);
+    return true;
+  });
+  return done ? await getReceiptById(receiptId) : null;
+}
+
+/**
+ * Refund part of what a customer has paid on a receipt. Stored as a negative
+ * payment, so the receipt's balance goes back up by the refunded amount.
+ * @param {string} receiptId
+ * @param {number} amount - Positive amount handed back
+ * @param {Object} opts - { method, reference, notes, date }
+ * @returns {Promise<Object|null>} The updated receipt
+ */
+export async function refundReceiptPayment(receiptId, amount, opts = {}) {
+  const done = await withTransaction(async (tx) => {
+    const rcpt = await getReceiptById(receiptId);
+    if (!rcpt) return false;
+    if (!(amount > 0)) throw new Error('Refund amount must be greater than 0');
+    if (round2(amount) > round2(rcpt.paid || 0)) {
+      throw new Error(`Cannot refund more than the ${rcpt.paid || 0} paid on this receipt`);
+    }
+    await insertPayment(receiptId, 'REFUND', -amount, opts, tx);
+    await refreshReceiptBalance(receiptId, tx);
+    return true;
+  });
+  return done ? await getReceiptById(receiptId) : null;
 }
 
-export async function deleteSale(id) {
-  await dbRun('DELETE FROM sales WHERE id=?', [id]);
+/**
+ * Payments and refunds dated within a range, with the receipt's customer,
+ * invoice number, currency and rate, total, tax and cost of goods, oldest
+ * first. Refunds carry a negative amount.
+ */
+export async function getPayments(fromDate, toDate) {
+  return await dbQuery(`
+    SELECT p.*, r.customer, r.invoiceNo, r.currency, r.fxRate, r.total AS receiptTotal, r.tax AS receiptTax,
+      (SELECT COALESCE(SUM(l.qty * l.costPrice), 0) FROM receipt_lines l WHERE l.receiptId = r.id) AS receiptCost
+    FROM payments p LEFT JOIN receipts r ON r.id = p.receiptId
+    WHERE p.date >= ? AND p.date <= ?
+    ORDER BY p.date ASC, p.rowid ASC
+  `, [fromDate || '0000', (toDate || '9999') + 'T23:59:59']);
+}
+
+export async function deleteReceipt(id, reason) {
+  const rcpt = await getReceiptById(id);
+  if (!rcpt) return;
+  await withTransaction(async (tx) => {
+    await dbRun(`
+      INSERT INTO audit_log (id,entity,entityId,action,reason,data,date)
+      VALUES (?,?,?,?,?,?,?)
+    `, [newId('AUD'), 'receipt', id, 'DELETE', reason || '', JSON.stringify(rcpt),
+        new Date().toISOString()], tx);
+    await dbRun('DELETE FROM receipt_lines WHERE receiptId=?', [id], tx);
+    await dbRun('DELETE FROM payments WHERE receiptId=?', [id], tx);
+    await dbRun('DELETE FROM returns_log WHERE receiptId=?', [id], tx);
+    await dbRun('DELETE FROM receipts WHERE id=?', [id], tx);
+  });
 }
 
 // ─── EXPENSES ────────────────────────────────────────────────────────────────
@@ -245,36 +2054,522 @@ export async function getExpenses() {
   return await dbQuery('SELECT * FROM expenses ORDER BY date DESC');
 }
 
-export async function addExpense(e) {
-  const id = 'EXP-' + Date.now();
+export async function addExpense(e, tx) {
+  const id = e.id || 'EXP-' + Date.now();
+  const date = e.date || new Date().toISOString();
+  const fx = await resolveFx(e.currency, e.fxRate, date);
   await dbRun(`
-    INSERT INTO expenses (id,category,description,amount,method,reference,date)
-    VALUES (?,?,?,?,?,?,?)
+    INSERT INTO expenses (id,category,description,amount,method,reference,recurringId,date,currency,fxRate)
+    VALUES (?,?,?,?,?,?,?,?,?,?)
   `, [id, e.category, e.description, e.amount, e.method,
-      e.reference, e.date || new Date().toISOString()]);
+      e.reference, e.recurringId || null, date, fx.currency, fx.fxRate], tx);
+  return id;
+}
+
+export async function deleteExpense(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('expense', 'expenses', id, reason, tx);
+    await dbRun('DELETE FROM expenses WHERE id=?', [id], tx);
+  });
+}
+
+// ─── PAYABLES (AP) ───────────────────────────────────────────────────────────
+// Each settlement is a payable_payments row, so cash-basis reports can tell
+// when money actually went out. Payables carry them as payable.payments.
+export async function getPayables() {
+  const payables = await dbQuery('SELECT * FROM payables ORDER BY date DESC');
+  const payments = await dbQuery('SELECT * FROM payable_payments ORDER BY date ASC, rowid ASC');
+  const by = {};
+  for (const row of payments) (by[row.payableId] = by[row.payableId] || []).push(row);
+  return payables.map(p => ({ ...p, payments: by[p.id] || [] }));
+}
+
+async function insertPayablePayment(payableId, amount, { method, reference, notes, date } = {}, tx) {
+  await dbRun(`
+    INSERT INTO payable_payments (id,payableId,amount,method,reference,notes,date)
+    VALUES (?,?,?,?,?,?,?)
+  `, [newId('PPM'), payableId, round2(amount), method || 'Cash', reference || '', notes || '',
+      date || new Date().toISOString()], tx);
+}
+
+export async function addPayable(p, tx) {
+  const id = p.id || 'PAY-' + Date.now();
+  const amount = p.amount || 0;
+  const amountPaid = p.amountPaid || 0;
+  const balance = Math.max(0, amount - amountPaid);
+  const date = p.date || new Date().toISOString();
+  const fx = await resolveFx(p.currency, p.fxRate, date);
+  await withTransaction(async (tx) => {
+    await dbRun(`
+      INSERT INTO payables (id,creditor,category,description,amount,amountPaid,balance,status,dueDate,notes,
+        recurringId,supplierId,purchaseOrderId,date,currency,fxRate)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `, [id, p.creditor, p.category, p.description, amount, amountPaid, balance,
+        paymentStatus(amountPaid, balance), p.dueDate || null, p.notes || '',
+        p.recurringId || null, p.supplierId || null, p.purchaseOrderId || null,
+        date, fx.currency, fx.fxRate], tx);
+    if (amountPaid > 0) await insertPayablePayment(id, amountPaid, { method: p.method, date: p.date }, tx);
+  }, tx);
   return id;
 }
 
-export async function deleteExpense(id) {
-  await dbRun('DELETE FROM expenses WHERE id=?', [id]);
+/**
+ * Pay part or all of a bill.
+ * @param {string} id
+ * @param {number} amount
+ * @param {Object} [opts] - { method, reference, notes, date }
+ * @returns {Promise<Object|null>} The updated payable
+ */
+export async function settlePayable(id, amount, opts = {}) {
+  const p = await withTransaction(async (tx) => {
+    const rows = await dbQuery('SELECT * FROM payables WHERE id=?', [id]);
+    if (!rows[0]) return null;
+    const amountPaid = round2((rows[0].amountPaid || 0) + amount);
+    const balance = Math.max(0, round2((rows[0].amount || 0) - amountPaid));
+    const status = paymentStatus(amountPaid, balance);
+    await insertPayablePayment(id, amount, opts, tx);
+    await dbRun('UPDATE payables SET amountPaid=?, balance=?, status=? WHERE id=?',
+      [amountPaid, balance, status, id], tx);
+    return { ...rows[0], amountPaid, balance, status };
+  });
+  if (!p) return null;
+  return { ...p, payments: await dbQuery(
+    'SELECT * FROM payable_payments WHERE payableId=? ORDER BY date ASC, rowid ASC', [id]
+  ) };
+}
+
+/**
+ * Bill payments dated within a range, with the bill's creditor, category,
+ * currency and rate.
+ */
+export async function getPayablePayments(fromDate, toDate) {
+  return await dbQuery(`
+    SELECT pp.*, p.creditor, p.category, p.description, p.supplierId, p.purchaseOrderId, p.currency, p.fxRate
+    FROM payable_payments pp LEFT JOIN payables p ON p.id = pp.payableId
+    WHERE pp.date >= ? AND pp.date <= ?
+    ORDER BY pp.date ASC, pp.rowid ASC
+  `, [fromDate || '0000', (toDate || '9999') + 'T23:59:59']);
+}
+
+export async function deletePayable(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('payable', 'payables', id, reason, tx);
+    await dbRun('DELETE FROM payable_payments WHERE payableId=?', [id], tx);
+    await dbRun('DELETE FROM payables WHERE id=?', [id], tx);
+  });
+}
+
+// ─── RECURRING EXPENSES & PAYABLES ───────────────────────────────────────────
+// A template describes a bill that repeats (rent, salaries, utilities). Each
+// due occurrence is posted once as an expense or payable dated on the
+// occurrence; recurring_runs records what was posted or skipped.
+export const RECURRING_FREQUENCIES = ['WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY'];
+const MONTH_STEP = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+
+// Dates are plain YYYY-MM-DD strings in the device's local calendar
+const pad2 = (n) => String(n).padStart(2, '0');
+const localDate = (d = new Date()) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+// The k-th scheduled date counted from the template's start. Monthly-style
+// schedules land on dayOfMonth, clamped to short months (31 → 28/29/30).
+function occurrenceAt(t, k) {
+  const [y, m, d] = t.startDate.slice(0, 10).split('-').map(Number);
+  if (t.frequency === 'WEEKLY') return localDate(new Date(y, m - 1, d + 7 * k));
+  const month = m - 1 + k * (MONTH_STEP[t.frequency] || 1);
+  const lastDay = new Date(y, month + 1, 0).getDate();
+  return localDate(new Date(y, month, Math.min(t.dayOfMonth || d, lastDay)));
+}
+
+/**
+ * Scheduled dates of a template after `after` (exclusive, null = from the
+ * start) up to `until` (inclusive), oldest first.
+ * @param {Object} t - Template row
+ * @param {string|null} after - YYYY-MM-DD
+ * @param {string} until - YYYY-MM-DD
+ * @param {number} [max] - Stop after this many dates
+ * @returns {string[]}
+ */
+export function recurringDates(t, after, until, max = 400) {
+  const start = t.startDate.slice(0, 10);
+  const end = t.endDate && t.endDate < until ? t.endDate.slice(0, 10) : until;
+  const dates = [];
+  for (let k = 0; dates.length < max; k++) {
+    const d = occurrenceAt(t, k);
+    if (d > end) break;
+    if (d >= start && (!after || d > after)) dates.push(d);
+  }
+  return dates;
+}
+
+async function getRecurringRuns(templateId) {
+  return await dbQuery(
+    'SELECT * FROM recurring_runs WHERE templateId=? ORDER BY occurrenceDate ASC', [templateId]
+  );
+}
+
+// Occurrences are only looked for after the latest one already posted, so
+// changing a template's schedule never back-posts months already covered.
+// Skipped dates are filtered out separately.
+function lastHandled(runs, today) {
+  const past = runs.filter(r => r.status === 'POSTED' && r.occurrenceDate <= today);
+  return past.length ? past[past.length - 1].occurrenceDate : null;
+}
+
+/**
+ * All templates, each with its next few occurrences ({ date, skipped }) and
+ * the date of the last one posted.
+ */
+export async function getRecurringTemplates() {
+  const today = localDate();
+  const templates = await dbQuery('SELECT * FROM recurring_templates ORDER BY createdAt DESC');
+  const out = [];
+  for (const t of templates) {
+    const runs = await getRecurringRuns(t.id);
+    const skipped = new Set(runs.filter(r => r.status === 'SKIPPED').map(r => r.occurrenceDate));
+    const posted = runs.filter(r => r.status === 'POSTED');
+    const postedDates = new Set(posted.map(r => r.occurrenceDate));
+    const upcoming = recurringDates(t, lastHandled(runs, today), '9999-12-31', 6)
+      .filter(date => !postedDates.has(date)).slice(0, 3)
+      .map(date => ({ date, skipped: skipped.has(date) }));
+    out.push({ ...t, upcoming, lastPosted: posted.length ? posted[posted.length - 1].occurrenceDate : null });
+  }
+  return out;
+}
+
+function checkTemplate(t) {
+  if (!t.description) throw new Error('Enter a description');
+  if (!(t.amount > 0)) throw new Error('Enter an amount');
+  if (!RECURRING_FREQUENCIES.includes(t.frequency)) throw new Error(`Unknown frequency: ${t.frequency}`);
+  if (!t.startDate) throw new Error('Choose a start date');
+  if (t.endDate && t.endDate < t.startDate) throw new Error('End date is before the start date');
+  if (t.kind === 'PAYABLE' && !t.creditor) throw new Error('Enter who the bill is owed to');
+}
+
+/**
+ * @param {Object} t - { kind: 'EXPENSE'|'PAYABLE', description, category, creditor,
+ *   amount, method, frequency, dayOfMonth, startDate, endDate, notes }
+ * @returns {Promise<string>} Template id
+ */
+export async function addRecurringTemplate(t) {
+  checkTemplate(t);
+  const id = t.id || newId('REC');
+  await dbRun(`
+    INSERT INTO recurring_templates (id,kind,description,category,creditor,amount,method,frequency,dayOfMonth,startDate,endDate,paused,notes)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `, [id, t.kind === 'PAYABLE' ? 'PAYABLE' : 'EXPENSE', t.description, t.category || 'Other',
+      t.creditor || '', t.amount, t.method || 'Cash', t.frequency, t.dayOfMonth || null,
+      t.startDate, t.endDate || null, t.paused ? 1 : 0, t.notes || '']);
+  return id;
+}
+
+// Edits apply from the next occurrence; entries already posted are left alone
+export async function updateRecurringTemplate(id, t) {
+  checkTemplate(t);
+  await dbRun(`
+    UPDATE recurring_templates SET kind=?, description=?, category=?, creditor=?, amount=?, method=?,
+      frequency=?, dayOfMonth=?, startDate=?, endDate=?, notes=?
+    WHERE id=?
+  `, [t.kind === 'PAYABLE' ? 'PAYABLE' : 'EXPENSE', t.description, t.category || 'Other',
+      t.creditor || '', t.amount, t.method || 'Cash', t.frequency, t.dayOfMonth || null,
+      t.startDate, t.endDate || null, t.notes || '', id]);
+}
+
+/**
+ * Pause or resume a template. Occurrences that fell due while it was paused
+ * are marked skipped on resume rather than posted all at once.
+ */
+export async function setRecurringPaused(id, paused) {
+  await withTransaction(async (tx) => {
+    if (!paused) {
+      const rows = await dbQuery('SELECT * FROM recurring_templates WHERE id=?', [id]);
+      if (!rows.length) return;
+      const today = localDate();
+      const runs = await getRecurringRuns(id);
+      for (const date of recurringDates(rows[0], lastHandled(runs, today), today)) {
+        await dbRun(
+          `INSERT OR IGNORE INTO recurring_runs (id,templateId,occurrenceDate,status,date) VALUES (?,?,?,?,?)`,
+          [newId('RRUN'), id, date, 'SKIPPED', new Date().toISOString()], tx
+        );
+      }
+    }
+    await dbRun('UPDATE recurring_templates SET paused=? WHERE id=?', [paused ? 1 : 0, id], tx);
+  });
+}
+
+// Skip (or un-skip) one upcoming occurrence
+export async function skipRecurringOccurrence(id, occurrenceDate, skip = true) {
+  if (skip) {
+    await dbRun(
+      `INSERT OR IGNORE INTO recurring_runs (id,templateId,occurrenceDate,status,date) VALUES (?,?,?,?,?)`,
+      [newId('RRUN'), id, occurrenceDate, 'SKIPPED', new Date().toISOString()]
+    );
+  } else {
+    await dbRun(`DELETE FROM recurring_runs WHERE templateId=? AND occurrenceDate=? AND status='SKIPPED'`,
+      [id, occurrenceDate]);
+  }
+}
+
+export async function deleteRecurringTemplate(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('recurring', 'recurring_templates', id, reason, tx);
+    await dbRun('DELETE FROM recurring_runs WHERE templateId=?', [id], tx);
+    await dbRun('DELETE FROM recurring_templates WHERE id=?', [id], tx);
+  });
+}
+
+/**
+ * Post every occurrence that has fallen due since the app last did so.
+ * Called on app open; safe to call repeatedly.
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Promise<Array>} [{ kind, id, templateId, occurrenceDate, amount, description }]
+ */
+export async function postDueRecurring(today = localDate()) {
+  const templates = await dbQuery('SELECT * FROM recurring_templates WHERE paused=0');
+  const posted = [];
+  for (const t of templates) {
+    const runs = await getRecurringRuns(t.id);
+    const handled = new Set(runs.map(r => r.occurrenceDate));
+    const due = recurringDates(t, lastHandled(runs, today), today).filter(d => !handled.has(d));
+    for (const occurrenceDate of due) {
+      await withTransaction(async (tx) => {
+        const kind = t.kind === 'PAYABLE' ? 'PAYABLE' : 'EXPENSE';
+        const entryId = newId(kind === 'PAYABLE' ? 'PAY' : 'EXP');
+        // Midday keeps the calendar date the same in any timezone
+        const date = occurrenceDate + 'T12:00:00.000Z';
+        await dbRun(
+          `INSERT INTO recurring_runs (id,templateId,occurrenceDate,status,entryId,date) VALUES (?,?,?,?,?,?)`,
+          [newId('RRUN'), t.id, occurrenceDate, 'POSTED', entryId, new Date().toISOString()], tx
+        );
+        if (kind === 'PAYABLE') {
+          await addPayable({ id: entryId, creditor: t.creditor, category: t.category,
+            description: t.description, amount: t.amount, dueDate: occurrenceDate,
+            notes: t.notes, recurringId: t.id, date }, tx);
+        } else {
+          await addExpense({ id: entryId, category: t.category, description: t.description,
+            amount: t.amount, method: t.method, reference: '', recurringId: t.id, date }, tx);
+        }
+        posted.push({ kind, id: entryId, templateId: t.id, occurrenceDate, amount: t.amount, description: t.description });
+      });
+    }
+  }
+  return posted;
 }
 
 // ─── SUPPLIERS ───────────────────────────────────────────────────────────────
+// Each supplier comes with what is still owed to them and how many orders are open
 export async function getSuppliers() {
-  return await dbQuery('SELECT * FROM suppliers ORDER BY name ASC');
+  return await dbQuery(`
+    SELECT s.*,
+      (SELECT COALESCE(SUM(balance), 0) FROM payables WHERE supplierId = s.id) AS outstanding,
+      (SELECT COUNT(*) FROM purchase_orders WHERE supplierId = s.id AND status IN ('OPEN','PARTIAL')) AS openOrders
+    FROM suppliers s ORDER BY s.name ASC
+  `);
+}
+
+async function getSupplierById(id) {
+  const rows = await dbQuery('SELECT * FROM suppliers WHERE id=?', [id]);
+  return rows[0] || null;
 }
 
 export async function addSupplier(s) {
-  const id = 'SUP-' + Date.now();
+  const id = s.id || 'SUP-' + Date.now();
   await dbRun(`
-    INSERT INTO suppliers (id,name,contact,phone,email,address,notes)
-    VALUES (?,?,?,?,?,?,?)
-  `, [id, s.name, s.contact, s.phone, s.email, s.address, s.notes]);
+    INSERT INTO suppliers (id,name,contact,phone,email,address,notes,leadTimeDays,safetyDays)
+    VALUES (?,?,?,?,?,?,?,?,?)
+  `, [id, s.name, s.contact, s.phone, s.email, s.address, s.notes,
+      s.leadTimeDays ?? 7, s.safetyDays ?? 3]);
   return id;
 }
 
-export async function deleteSupplier(id) {
-  await dbRun('DELETE FROM suppliers WHERE id=?', [id]);
+export async function updateSupplier(id, s) {
+  await dbRun(`
+    UPDATE suppliers SET name=?, contact=?, phone=?, notes=?, leadTimeDays=?, safetyDays=? WHERE id=?
+  `, [s.name, s.contact, s.phone, s.notes, s.leadTimeDays ?? 7, s.safetyDays ?? 3, id]);
+}
+
+export async function deleteSupplier(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('supplier', 'suppliers', id, reason, tx);
+    await dbRun('DELETE FROM suppliers WHERE id=?', [id], tx);
+  });
+}
+
+/**
+ * A supplier's purchase history: every delivery, newest first, plus a price
+ * trend per product (cost per purchase unit over time, oldest first).
+ * @returns {Promise<Object>} { deliveries, products: [{ inventoryId, product, purchaseUnit,
+ *   prices: [{date, unitCost}], lastCost, firstCost, changePct, qty, spent }], payables, orders }
+ */
+export async function getSupplierHistory(supplierId) {
+  const deliveries = await dbQuery(`
+    SELECT g.*, po.poNo FROM goods_received g LEFT JOIN purchase_orders po ON po.id = g.poId
+    WHERE g.supplierId=? ORDER BY g.date DESC, g.rowid DESC
+  `, [supplierId]);
+  const byProduct = {};
+  for (const g of [...deliveries].reverse()) {
+    const key = g.inventoryId || g.product;
+    const p = byProduct[key] = byProduct[key] || {
+      inventoryId: g.inventoryId, product: g.product, purchaseUnit: g.purchaseUnit, prices: [], qty: 0, spent: 0
+    };
+    p.prices.push({ date: g.date, unitCost: g.unitCost });
+    p.qty += g.qty || 0;
+    p.spent += (g.qty || 0) * (g.unitCost || 0);
+  }
+  const products = Object.values(byProduct).map(p => {
+    const firstCost = p.prices[0].unitCost;
+    const lastCost = p.prices[p.prices.length - 1].unitCost;
+    return { ...p, firstCost, lastCost, changePct: firstCost > 0 ? round2((lastCost - firstCost) / firstCost * 100) : 0 };
+  }).sort((a, b) => b.spent - a.spent);
+  const payables = await dbQuery('SELECT * FROM payables WHERE supplierId=? ORDER BY date DESC', [supplierId]);
+  const orders = (await getPurchaseOrders()).filter(po => po.supplierId === supplierId);
+  return { deliveries, products, payables, orders };
+}
+
+// ─── PURCHASE ORDERS ─────────────────────────────────────────────────────────
+// An order lists products in their purchase units at agreed costs. Deliveries
+// against it (full or partial) go through the WMA restock, land in
+// goods_received and raise a payable for anything not paid on delivery.
+export const PO_STATUSES = ['OPEN', 'PARTIAL', 'RECEIVED', 'CANCELLED'];
+const formatPONo = (n) => 'PO-' + String(n).padStart(5, '0');
+
+async function nextPONo() {
+  const rows = await dbQuery(
+    `SELECT MAX(CAST(SUBSTR(poNo, 4) AS INTEGER)) AS n FROM purchase_orders WHERE poNo LIKE 'PO-%'`
+  );
+  return formatPONo(((rows[0] && rows[0].n) || 0) + 1);
+}
+
+export async function getPurchaseOrders() {
+  const orders = await dbQuery('SELECT * FROM purchase_orders ORDER BY date DESC');
+  if (!orders.length) return orders;
+  const lines = await dbQuery('SELECT * FROM purchase_order_lines ORDER BY rowid ASC');
+  const by = {};
+  for (const l of lines) (by[l.poId] = by[l.poId] || []).push(l);
+  return orders.map(po => ({ ...po, lines: by[po.id] || [] }));
+}
+
+export async function getPurchaseOrderById(id) {
+  return (await getPurchaseOrders()).find(po => po.id === id) || null;
+}
+
+/**
+ * @param {Object} po - { supplierId, expectedDate, notes, date,
+ *   lines: [{ inventoryId, qty, unitCost }] } qty/unitCost per purchase unit
+ * @returns {Promise<Object>} The saved order with lines
+ */
+export async function addPurchaseOrder(po) {
+  const supplier = await getSupplierById(po.supplierId);
+  if (!supplier) throw new Error('Choose a supplier');
+  const lines = (po.lines || []).filter(l => l.inventoryId && l.qty > 0);
+  if (!lines.length) throw new Error('Add at least one product');
+  const id = newId('PO');
+  await withTransaction(async (tx) => {
+    let total = 0;
+    for (const l of lines) {
+      const p = await getProductById(l.inventoryId);
+      if (!p) throw new Error('Product not found');
+      if (!(l.unitCost > 0)) throw new Error(`Enter the agreed cost for ${p.name}`);
+      total += l.qty * l.unitCost;
+      await dbRun(`
+        INSERT INTO purchase_order_lines (id,poId,inventoryId,product,purchaseUnit,conversionFactor,qty,unitCost)
+        VALUES (?,?,?,?,?,?,?,?)
+      `, [newId('POL'), id, p.id, p.name, p.purchaseUnit || pBaseUnit(p),
+          p.conversionFactor > 0 ? p.conversionFactor : 1, l.qty, l.unitCost], tx);
+    }
+    await dbRun(`
+      INSERT INTO purchase_orders (id,poNo,supplierId,supplierName,status,total,expectedDate,notes,date)
+      VALUES (?,?,?,?,?,?,?,?,?)
+    `, [id, await nextPONo(), supplier.id, supplier.name, 'OPEN', round2(total),
+        po.expectedDate || null, po.notes || '', po.date || new Date().toISOString()], tx);
+  });
+  return await getPurchaseOrderById(id);
+}
+
+// Write the goods_received rows for one delivery and the payable covering it
+async function recordPurchase(supplier, po, received, { amountPaid = 0, method, dueDate, date } = {}, tx) {
+  const when = date || new Date().toISOString();
+  const value = round2(received.reduce((s, r) => s + r.qty * r.unitCost, 0));
+  const paid = round2(Math.min(Math.max(0, amountPaid || 0), value));
+  const payableId = newId('PAY');
+  // Filed under STOCK_PURCHASE so the P&L does not count the stock twice
+  await addPayable({
+    id: payableId, creditor: supplier.name, category: STOCK_PURCHASE,
+    description: (po ? po.poNo + ' — ' : 'Delivery — ') +
+      received.map(r => `${r.result.productName} ×${r.qty}`).join(', '),
+    amount: value, amountPaid: paid, method, dueDate: dueDate || null,
+    supplierId: supplier.id, purchaseOrderId: po ? po.id : null, date: when
+  }, tx);
+  for (const r of received) {
+    await dbRun(`
+      INSERT INTO goods_received (id,supplierId,poId,poLineId,inventoryId,product,qty,purchaseUnit,unitCost,baseQty,wmaHistoryId,payableId,date)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `, [newId('GRN'), supplier.id, po ? po.id : null, r.lineId || null, r.result.productId,
+        r.result.productName, r.qty, r.result.purchaseUnit, r.unitCost, r.result.baseUnitsAdded,
+        r.result.historyId, payableId, when], tx);
+  }
+  return payableId;
+}
+
+/**
+ * Receive a delivery against an order, fully or in part.
+ * @param {string} poId
+ * @param {Array} items - [{ lineId, qty, unitCost, batchNo, expiryDate }] qty in purchase
+ *   units; unitCost defaults to the agreed cost on the order
+ * @param {Object} opts - { amountPaid, method, dueDate, date }
+ * @returns {Promise<Object>} { order, restocks, payableId }
+ */
+export async function receivePurchaseOrder(poId, items = [], opts = {}) {
+  const po = await getPurchaseOrderById(poId);
+  if (!po) throw new Error('Purchase order not found');
+  if (po.status === 'CANCELLED' || po.status === 'RECEIVED') throw new Error(`${po.poNo} is ${po.status.toLowerCase()}`);
+  const supplier = await getSupplierById(po.supplierId);
+  if (!supplier) throw new Error('Supplier not found');
+
+  const picked = [];
+  for (const item of items) {
+    const qty = Number(item.qty) || 0;
+    if (qty <= 0) continue;
+    const line = po.lines.find(l => l.id === item.lineId);
+    if (!line) throw new Error('Line is not on this order');
+    const left = round2(line.qty - (line.qtyReceived || 0));
+    if (qty > left + 1e-9) throw new Error(`Only ${left} ${line.purchaseUnit} of ${line.product} are still due`);
+    picked.push({ line, qty, unitCost: item.unitCost > 0 ? item.unitCost : line.unitCost,
+      batch: { batchNo: item.batchNo, expiryDate: item.expiryDate } });
+  }
+  if (!picked.length) throw new Error('Enter the quantity received');
+
+  const { restocks, payableId } = await withTransaction(async (tx) => {
+    const received = [];
+    for (const { line, qty, unitCost, batch } of picked) {
+      const result = await applyRestock(line.inventoryId, qty, unitCost, null, batch, tx);
+      await dbRun('UPDATE purchase_order_lines SET qtyReceived = qtyReceived + ? WHERE id=?', [qty, line.id], tx);
+      received.push({ result, qty, unitCost, lineId: line.id });
+    }
+    const payableId = await recordPurchase(supplier, po, received, opts, tx);
+    const rows = await dbQuery(
+      'SELECT SUM(qty) AS ordered, SUM(qtyReceived) AS received FROM purchase_order_lines WHERE poId=?', [poId]
+    );
+    const done = (rows[0].received || 0) >= (rows[0].ordered || 0) - 1e-9;
+    await dbRun('UPDATE purchase_orders SET status=? WHERE id=?', [done ? 'RECEIVED' : 'PARTIAL', poId], tx);
+    return { restocks: received.map(r => r.result), payableId };
+  });
+  return { order: await getPurchaseOrderById(poId), restocks, payableId };
+}
+
+// Base units still to arrive on open orders, by product: { inventoryId: baseQty }
+export async function getOnOrderQty() {
+  const rows = await dbQuery(`
+    SELECT l.inventoryId, SUM((l.qty - l.qtyReceived) * l.conversionFactor) AS qty
+    FROM purchase_order_lines l JOIN purchase_orders po ON po.id = l.poId
+    WHERE po.status IN ('OPEN','PARTIAL') AND l.qty > l.qtyReceived
+    GROUP BY l.inventoryId
+  `);
+  return Object.fromEntries(rows.map(r => [r.inventoryId, r.qty]));
+}
+
+// Close an order; anything not yet delivered is no longer expected
+export async function cancelPurchaseOrder(id) {
+  await dbRun(`UPDATE purchase_orders SET status='CANCELLED' WHERE id=? AND status IN ('OPEN','PARTIAL')`, [id]);
 }
 
 // ─── CUSTOMERS ───────────────────────────────────────────────────────────────
@@ -282,74 +2577,654 @@ export async function getCustomers() {
   return await dbQuery('SELECT * FROM customers ORDER BY name ASC');
 }
 
-export async function upsertCustomer(name, phone) {
-  const existing = await dbQuery('SELECT id FROM customers WHERE name=? COLLATE NOCASE', [name]);
-  if (existing.length > 0) return existing[0].id;
-  const id = 'CUS-' + Date.now();
-  await dbRun('INSERT INTO customers (id,name,phone) VALUES (?,?,?)', [id, name, phone || '']);
+export async function upsertCustomer(name, phone, tx) {
+  return await withTransaction(async (tx) => {
+    const existing = await dbQuery('SELECT id, phone FROM customers WHERE name=? COLLATE NOCASE', [name]);
+    if (existing.length > 0) {
+      if (phone && !existing[0].phone) await dbRun('UPDATE customers SET phone=? WHERE id=?', [phone, existing[0].id], tx);
+      return existing[0].id;
+    }
+    const id = newId('CUS');
+    await dbRun('INSERT INTO customers (id,name,phone) VALUES (?,?,?)', [id, name, phone || ''], tx);
+    return id;
+  }, tx);
+}
+
+async function customerPriceListId(customerId) {
+  if (!customerId) return null;
+  const rows = await dbQuery('SELECT priceListId FROM customers WHERE id=?', [customerId]);
+  return (rows[0] && rows[0].priceListId) || null;
+}
+
+// Put a customer (by name, created if new) on a price list, or take them off with null
+export async function setCustomerPriceList(name, listId) {
+  const n = String(name || '').trim();
+  if (!n || n === 'Walk-in') throw new Error('Enter a customer name');
+  return await withTransaction(async (tx) => {
+    const id = await upsertCustomer(n, null, tx);
+    await dbRun('UPDATE customers SET priceListId=? WHERE id=?', [listId || null, id], tx);
+    return id;
+  });
+}
+
+/**
+ * Edit a customer's details and credit limit. The name must stay unique
+ * (any case); receipts already issued keep the name they were printed with.
+ * @param {string} id
+ * @param {Object} c - { name, phone, email, address, notes, creditLimit } creditLimit null/'' for none
+ */
+export async function updateCustomer(id, c) {
+  const name = String(c.name || '').trim();
+  if (!name || name === 'Walk-in') throw new Error('Enter a customer name');
+  const clash = await dbQuery('SELECT name FROM customers WHERE name=? COLLATE NOCASE AND id<>?', [name, id]);
+  if (clash.length) throw new Error(`There is already a customer called ${clash[0].name} — merge them instead`);
+  const limit = c.creditLimit === '' || c.creditLimit == null ? null : Number(c.creditLimit);
+  if (limit != null && !(limit >= 0)) throw new Error('Credit limit must be 0 or more');
+  await dbRun('UPDATE customers SET name=?, phone=?, email=?, address=?, notes=?, creditLimit=? WHERE id=?',
+    [name, c.phone || '', c.email || '', c.address || '', c.notes || '', limit, id]);
+}
+
+/**
+ * What a customer owes across all their receipts against their limit.
+ * @param {string} customerId
+ * @returns {Promise<Object>} { limit, outstanding, available } limit and
+ *   available are null when the customer has no limit
+ */
+export async function getCustomerCredit(customerId) {
+  const rows = await dbQuery(`
+    SELECT c.creditLimit AS "limit",
+      (SELECT COALESCE(SUM(balance * COALESCE(fxRate, 1)), 0) FROM receipts WHERE customerId = c.id) AS outstanding
+    FROM customers c WHERE c.id=?
+  `, [customerId]);
+  if (!rows.length) throw new Error('Customer not found');
+  const limit = rows[0].limit == null ? null : rows[0].limit;
+  const outstanding = round2(rows[0].outstanding);
+  return { limit, outstanding, available: limit == null ? null : round2(limit - outstanding) };
+}
+
+/**
+ * Fold duplicate customers into one. Their receipts and reminder history
+ * move to the kept customer, blank details are filled from the duplicates, and each removed
+ * record is copied to the audit log first.
+ * @param {string} keepId
+ * @param {string[]} mergeIds
+ * @returns {Promise<number>} Receipts moved
+ */
+export async function mergeCustomers(keepId, mergeIds = []) {
+  const ids = [...new Set(mergeIds)].filter(id => id && id !== keepId);
+  if (!ids.length) throw new Error('Choose the duplicates to merge');
+  return await withTransaction(async (tx) => {
+    const keep = (await dbQuery('SELECT * FROM customers WHERE id=?', [keepId]))[0];
+    if (!keep) throw new Error('Customer not found');
+    let moved = 0;
+    for (const id of ids) {
+      const dup = (await dbQuery('SELECT * FROM customers WHERE id=?', [id]))[0];
+      if (!dup) throw new Error('Customer not found');
+      for (const f of ['phone', 'email', 'address', 'notes', 'priceListId', 'creditLimit']) {
+        if ((keep[f] == null || keep[f] === '') && dup[f] != null && dup[f] !== '') keep[f] = dup[f];
+      }
+      moved += (await dbQuery('SELECT COUNT(*) AS n FROM receipts WHERE customerId=?', [id]))[0].n;
+      await dbRun('UPDATE receipts SET customerId=? WHERE customerId=?', [keepId, id], tx);
+      await dbRun('UPDATE reminders SET customerId=? WHERE customerId=?', [keepId, id], tx);
+      await archiveRow('customer', 'customers', id, `Merged into ${keep.name}`, tx);
+      await dbRun('DELETE FROM customers WHERE id=?', [id], tx);
+    }
+    await dbRun('UPDATE customers SET phone=?, email=?, address=?, notes=?, priceListId=?, creditLimit=? WHERE id=?',
+      [keep.phone, keep.email, keep.address, keep.notes, keep.priceListId, keep.creditLimit, keepId], tx);
+    return moved;
+  });
+}
+
+/**
+ * A customer's account for a period: invoices debit it, payments and goods
+ * returned credit it, cash refunds debit it again. The opening balance
+ * carries everything before the period. Amounts are in the base currency.
+ * @param {string|null} customerId - null for walk-in sales
+ * @param {string} [fromDate] - YYYY-MM-DD; from the first sale when blank
+ * @param {string} [toDate] - YYYY-MM-DD; up to today when blank
+ * @returns {Promise<Object>} { customer, from, to, opening, entries, debits,
+ *   credits, closing } entries: { date, receiptId, type, ref, desc, detail,
+ *   debit, credit, balance }
+ */
+export async function getCustomerStatement(customerId, fromDate, toDate) {
+  const customer = customerId
+    ? (await dbQuery('SELECT * FROM customers WHERE id=?', [customerId]))[0]
+    : { id: null, name: 'Walk-in' };
+  if (!customer) throw new Error('Customer not found');
+  const receipts = await withLines(customerId
+    ? await dbQuery('SELECT * FROM receipts WHERE customerId=?', [customerId])
+    : await dbQuery('SELECT * FROM receipts WHERE customerId IS NULL'));
+  const all = [];
+  for (const r of receipts) {
+    const ref = r.invoiceNo || r.id;
+    // Amounts are in base; a sale in another currency also shows what it was in that currency
+    const base = (n) => toBase(n, r.fxRate);
+    const orig = (n) => r.fxRate > 0 && r.fxRate !== 1 ? `${r.currency} ${round2(Math.abs(n)).toLocaleString()} @ ${r.fxRate}` : '';
+    all.push({ date: r.date, receiptId: r.id, type: 'INVOICE', ref, desc: `Invoice ${ref}`,
+      detail: [(r.lines || []).map(l => `${l.product} × ${l.qty}`).join(', '), orig(r.total)].filter(Boolean).join(' · '),
+      debit: base(r.total), credit: 0 });
+    for (const p of (r.payments || [])) {
+      all.push({ date: p.date, receiptId: r.id, type: p.amount < 0 ? 'REFUND' : 'PAYMENT', ref,
+        desc: `${p.amount < 0 ? 'Refund' : 'Payment'} · ${p.method || 'Cash'}`,
+        detail: [ref, p.reference ? 'Ref: ' + p.reference : '', orig(p.amount)].filter(Boolean).join(' · '),
+        debit: p.amount < 0 ? base(-p.amount) : 0, credit: p.amount > 0 ? base(p.amount) : 0 });
+    }
+    for (const x of (r.returns || [])) {
+      all.push({ date: x.date, receiptId: r.id, type: 'RETURN', ref, desc: `Return · ${x.product} × ${x.qty}`,
+        detail: [ref, x.reason, orig(x.refund)].filter(Boolean).join(' · '), debit: 0, credit: base(x.refund) });
+    }
+  }
+  // Same moment: the invoice before what settles it
+  all.sort((a, b) => (a.date || '').localeCompare(b.date || '') || b.debit - a.debit);
+
+  const from = fromDate || null;
+  const to = toDate || null;
+  let opening = 0;
+  const entries = [];
+  for (const e of all) {
+    const day = (e.date || '').slice(0, 10);
+    if (from && day < from) { opening += e.debit - e.credit; continue; }
+    if (to && day > to) continue;
+    entries.push(e);
+  }
+  let run = round2(opening);
+  for (const e of entries) { run = round2(run + e.debit - e.credit); e.balance = run; }
+  return {
+    customer, from, to,
+    opening: round2(opening),
+    entries,
+    debits: round2(entries.reduce((s, e) => s + e.debit, 0)),
+    credits: round2(entries.reduce((s, e) => s + e.credit, 0)),
+    closing: run
+  };
+}
+
+// ─── PAYMENT REMINDERS ───────────────────────────────────────────────────────
+/**
+ * Record a payment reminder sent to a customer.
+ * @param {Object} r - { customerId, customer, channel: 'WHATSAPP'|'SHARE', phone, balance, overdue, message }
+ * @returns {Promise<string>} The log entry id
+ */
+export async function logReminder(r) {
+  const id = newId('REM');
+  await dbRun(`
+    INSERT INTO reminders (id,customerId,customer,channel,phone,balance,overdue,message,date)
+    VALUES (?,?,?,?,?,?,?,?,?)
+  `, [id, r.customerId || null, r.customer || '', r.channel === 'WHATSAPP' ? 'WHATSAPP' : 'SHARE', r.phone || '',
+      round2(r.balance), round2(r.overdue), r.message || '', new Date().toISOString()]);
   return id;
 }
 
+// Reminders sent, newest first — one customer's, or everyone's
+export async function getReminders(customerId) {
+  return customerId
+    ? await dbQuery('SELECT * FROM reminders WHERE customerId=? ORDER BY date DESC', [customerId])
+    : await dbQuery('SELECT * FROM reminders ORDER BY date DESC');
+}
+
+// ─── PRICE LISTS ─────────────────────────────────────────────────────────────
+/**
+ * All price lists with their items (quantity breaks, lowest first) and the
+ * names of the customers on each.
+ */
+export async function getPriceLists() {
+  const lists = await dbQuery('SELECT * FROM price_lists ORDER BY name ASC');
+  const items = await dbQuery(`
+    SELECT it.*, i.name AS product FROM price_list_items it LEFT JOIN inventory i ON i.id = it.productId
+    ORDER BY i.name ASC, it.minQty ASC
+  `);
+  const customers = await dbQuery('SELECT name, priceListId FROM customers WHERE priceListId IS NOT NULL ORDER BY name ASC');
+  return lists.map(l => ({
+    ...l,
+    items: items.filter(it => it.listId === l.id),
+    customers: customers.filter(c => c.priceListId === l.id).map(c => c.name)
+  }));
+}
+
+/**
+ * Create or update a price list, replacing its items.
+ * @param {Object} list - { id?, name, scope: 'CUSTOMER'|'ALL', startDate, endDate, active, notes,
+ *   items: [{ productId, minQty, price }] }
+ * @returns {Promise<string>} The list id
+ */
+export async function savePriceList(list) {
+  const name = String(list.name || '').trim();
+  if (!name) throw new Error('Give the price list a name');
+  const scope = PRICE_LIST_SCOPES.includes(list.scope) ? list.scope : 'CUSTOMER';
+  if (list.startDate && list.endDate && list.endDate < list.startDate) throw new Error('The end date is before the start date');
+  const items = (list.items || []).filter(it => it.productId);
+  const seen = new Set();
+  for (const it of items) {
+    if (!(it.price > 0)) throw new Error('Every price must be greater than 0');
+    const key = `${it.productId}|${it.minQty || 1}`;
+    if (seen.has(key)) throw new Error('The same product and minimum quantity appear twice');
+    seen.add(key);
+  }
+  return await withTransaction(async (tx) => {
+    const dup = await dbQuery('SELECT id FROM price_lists WHERE name=? COLLATE NOCASE AND id<>?', [name, list.id || '']);
+    if (dup.length) throw new Error(`There is already a price list called ${name}`);
+    const id = list.id || newId('PL');
+    const vals = [name, scope, list.startDate || null, list.endDate || null, list.active === 0 || list.active === false ? 0 : 1, list.notes || ''];
+    if (list.id) {
+      await dbRun('UPDATE price_lists SET name=?, scope=?, startDate=?, endDate=?, active=?, notes=? WHERE id=?', [...vals, id], tx);
+      await dbRun('DELETE FROM price_list_items WHERE listId=?', [id], tx);
+    } else {
+      await dbRun('INSERT INTO price_lists (name,scope,startDate,endDate,active,notes,id) VALUES (?,?,?,?,?,?,?)', [...vals, id], tx);
+    }
+    for (const it of items) {
+      await dbRun('INSERT INTO price_list_items (id,listId,productId,minQty,price) VALUES (?,?,?,?,?)',
+        [newId('PLI'), id, it.productId, Math.max(1, Number(it.minQty) || 1), round2(it.price)], tx);
+    }
+    return id;
+  });
+}
+
+export async function deletePriceList(id, reason) {
+  await withTransaction(async (tx) => {
+    await archiveRow('price_list', 'price_lists', id, reason, tx);
+    await dbRun('DELETE FROM price_list_items WHERE listId=?', [id], tx);
+    await dbRun('UPDATE customers SET priceListId=NULL WHERE priceListId=?', [id], tx);
+    await dbRun('DELETE FROM price_lists WHERE id=?', [id], tx);
+  });
+}
+
 // ─── RETURNS ─────────────────────────────────────────────────────────────────
+// Returns carry their receipt's currency and rate
+const RETURNS_SELECT = `SELECT x.*, r.currency, r.fxRate FROM returns_log x LEFT JOIN receipts r ON r.id = x.receiptId`;
+
 export async function getReturns() {
-  return await dbQuery('SELECT * FROM returns_log ORDER BY date DESC');
+  return await dbQuery(`${RETURNS_SELECT} ORDER BY x.date DESC`);
 }
 
-export async function addReturn(r) {
-  const id = 'RET-' + Date.now();
-  await dbRun(`
-    INSERT INTO returns_log (id,saleId,product,qty,refund,reason,date)
-    VALUES (?,?,?,?,?,?,?)
-  `, [id, r.saleId, r.product, r.qty, r.refund, r.reason,
-      r.date || new Date().toISOString()]);
-  // Restock inventory
-  if (r.inventoryId) {
-    await dbRun('UPDATE inventory SET stock = stock + ? WHERE id=?',
-      [r.qty, r.inventoryId]);
+/**
+ * Take goods back against a receipt. Each returned line goes back into stock
+ * at the cost it was sold at, and its share of the receipt total (tax
+ * included) is settled one of two ways:
+ *   REFUND — cash handed back, recorded as a refund payment. Only what the
+ *            customer has paid can go back in cash; the rest comes off the
+ *            balance they still owe.
+ *   CREDIT — nothing handed back; the value comes off the balance owed.
+ * @param {string} receiptId
+ * @param {Array} items - [{ lineId, qty }] qty in the line's sale unit
+ * @param {Object} opts - { settlement: 'REFUND'|'CREDIT', method, reason, date }
+ * @returns {Promise<Object|null>} The updated receipt
+ */
+export async function addReturn(receiptId, items = [], opts = {}) {
+  const rcpt = await getReceiptById(receiptId);
+  if (!rcpt) return null;
+  const settlement = opts.settlement === 'CREDIT' ? 'CREDIT' : 'REFUND';
+  const date = opts.date || new Date().toISOString();
+  const taxRule = { taxRate: rcpt.taxRate, taxInclusive: rcpt.taxInclusive };
+
+  const picked = [];
+  for (const item of items) {
+    const qty = Number(item.qty) || 0;
+    if (qty <= 0) continue;
+    const line = rcpt.lines.find(l => l.id === item.lineId);
+    if (!line) throw new Error('Line is not on this receipt');
+    const returned = rcpt.returns.filter(x => x.lineId === line.id).reduce((s, x) => s + (x.qty || 0), 0);
+    const left = round2((line.qty || 0) - returned);
+    if (qty > left + 1e-9) {
+      throw new Error(`Only ${left} ${line.saleUnit || 'pcs'} of ${line.product} can still be returned`);
+    }
+    // Same share of the line total, with the receipt's own tax rule applied
+    const lineValue = line.qty > 0 ? (line.total || 0) * qty / line.qty : 0;
+    const t = computeReceiptTotals([{ qty, unitPrice: line.unitPrice, lineTotal: lineValue }], taxRule);
+    picked.push({ line, qty, value: t.total, tax: t.tax });
   }
-  return id;
+  if (!picked.length) throw new Error('Choose at least one item to return');
+
+  const value = round2(picked.reduce((s, p) => s + p.value, 0));
+  const owed = round2(Math.max(0, (rcpt.total || 0) - (rcpt.paid || 0) -
+    rcpt.returns.reduce((s, x) => s + (x.refund || 0), 0)));
+  if (settlement === 'CREDIT' && value > owed + 0.01) {
+    throw new Error(`Only ${owed} is owed on this receipt — refund the return in cash instead`);
+  }
+
+  await withTransaction(async (tx) => {
+    for (const { line, qty, value: refund, tax } of picked) {
+      const id = newId('RET');
+      await dbRun(`
+        INSERT INTO returns_log (id,saleId,receiptId,lineId,inventoryId,product,qty,refund,tax,costPrice,settlement,reason,date)
+        VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+      `, [id, line.id, receiptId, line.id, line.inventoryId || null, line.product, qty,
+          round2(refund), round2(tax), line.costPrice || 0, settlement, opts.reason || '', date], tx);
+
+      // Back into stock at the cost it left at, blended into the current WMA
+      if (line.inventoryId) {
+        const p = await getProductById(line.inventoryId);
+        if (p) {
+          const wma = calcWMA(p.stock || 0, pWMACost(p), qty, line.costPrice || 0);
+          await dbRun('UPDATE inventory SET wmaCost=? WHERE id=?', [round2(wma), p.id], tx);
+          await moveStock(p, qty, 'RETURN', {
+            unitCost: line.costPrice || 0, referenceType: 'RETURN', reference: id, notes: opts.reason
+          }, tx);
+        }
+      }
+    }
+    const cash = settlement === 'REFUND' ? round2(Math.min(value, rcpt.paid || 0)) : 0;
+    if (cash > 0) {
+      await insertPayment(receiptId, 'REFUND', -cash, {
+        method: opts.method || rcpt.method, reference: rcpt.invoiceNo,
+        notes: 'Return: ' + picked.map(p => `${p.line.product} ×${p.qty}`).join(', '), date
+      }, tx);
+    }
+    await refreshReceiptBalance(receiptId, tx);
+  });
+  return await getReceiptById(receiptId);
+}
+
+// ─── AUDIT LOG ───────────────────────────────────────────────────────────────
+export async function getAuditLog() {
+  const rows = await dbQuery('SELECT * FROM audit_log ORDER BY date DESC');
+  return rows.map(r => {
+    try { return { ...r, data: JSON.parse(r.data || 'null') }; }
+    catch (_) { return r; }
+  });
 }
 
 // ─── REPORT DATA ─────────────────────────────────────────────────────────────
 export async function getReportData(fromDate, toDate) {
-  const sales = await dbQuery(
-    `SELECT * FROM sales WHERE date >= ? AND date <= ? ORDER BY date DESC`,
+  const receipts = await withLines(await dbQuery(
+    `SELECT * FROM receipts WHERE date >= ? AND date <= ? ORDER BY date DESC`,
     [fromDate, toDate + 'T23:59:59']
-  );
+  ));
   const expenses = await dbQuery(
     `SELECT * FROM expenses WHERE date >= ? AND date <= ? ORDER BY date DESC`,
     [fromDate, toDate + 'T23:59:59']
   );
   const returns = await dbQuery(
-    `SELECT * FROM returns_log WHERE date >= ? AND date <= ? ORDER BY date DESC`,
+    `${RETURNS_SELECT} WHERE x.date >= ? AND x.date <= ? ORDER BY x.date DESC`,
     [fromDate, toDate + 'T23:59:59']
   );
-  return { sales, expenses, returns };
+  // Cash received in the period, whatever date the receipt itself carries
+  const payments = await getPayments(fromDate, toDate);
+  // Bills incurred in the period (accrual basis) and bill payments made in it (cash basis)
+  const payables = await dbQuery(
+    `SELECT * FROM payables WHERE date >= ? AND date <= ? ORDER BY date DESC`,
+    [fromDate, toDate + 'T23:59:59']
+  );
+  const payablePayments = await getPayablePayments(fromDate, toDate);
+  // Stock value at the close of the day before the period and at its end
+  const dayBefore = new Date(new Date(fromDate + 'T00:00:00Z').getTime() - 86400000).toISOString().slice(0, 10);
+  const valuation = {
+    opening: await getInventoryValuation(dayBefore),
+    closing: await getInventoryValuation(toDate)
+  };
+  return { receipts, expenses, returns, payments, payables, payablePayments, valuation };
 }
 
 // ─── EXPORT ALL DATA ─────────────────────────────────────────────────────────
-export async function exportAllData() {
+// The app's own lists, shaped for the Excel export
+export async function getExportData() {
   return {
     settings: await getSettings(),
     inventory: await getInventory(),
-    sales: await getSales(),
+    receipts: await getReceipts(),
     expenses: await getExpenses(),
     suppliers: await getSuppliers(),
     customers: await getCustomers(),
-    returns: await getReturns()
+    returns: await getReturns(),
+    payables: await getPayables(),
+    batches: await getStockBatches(),
+    rates: await getExchangeRates()
   };
 }
 
-export async function importAllData(data) {
-  if (!db) await initDB();
-  // Clear all tables
-  for (const table of ['sales', 'inventory', 'expenses', 'suppliers', 'customers', 'returns_log']) {
-    await dbRun(`DELETE FROM ${table}`);
+// ─── BACKUP & RESTORE ────────────────────────────────────────────────────────
+// A backup holds every table's rows exactly as stored, ids included, so the
+// links between records (receipt → lines → payments, PO → receipts of goods…)
+// survive a restore. BACKUP_FORMAT is the layout of the file itself; the
+// schema version it was taken at travels alongside.
+export const BACKUP_FORMAT = 2;
+
+// Tables a wipe empties. Settings, the audit trail and recurring schedules stay.
+const BUSINESS_TABLES = ['receipts', 'receipt_lines', 'payments', 'inventory', 'expenses', 'suppliers', 'customers',
+  'returns_log', 'payables', 'payable_payments', 'stock_transactions', 'purchase_orders', 'purchase_order_lines',
+  'goods_received', 'stocktakes', 'stocktake_lines', 'cost_layers', 'price_lists', 'price_list_items', 'reminders', 'exchange_rates'];
+
+// A product's stock history; a backup without it restores its stock as opening balances
+const STOCK_HISTORY = ['stock_transactions', 'cost_layers'];
+
+async function backupTableNames() {
+  const rows = await dbQuery(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name <> 'schema_version'
+    ORDER BY name ASC
+  `);
+  return rows.map(r => r.name);
+}
+
+export async function exportAllData() {
+  const tables = {};
+  for (const t of await backupTableNames()) tables[t] = await dbQuery(`SELECT * FROM ${t} ORDER BY rowid ASC`);
+  return {
+    app: 'BizTrack Pro',
+    format: BACKUP_FORMAT,
+    schemaVersion: await getSchemaVersion(),
+    exportedAt: new Date().toISOString(),
+    tables
+  };
+}
+
+// The first app versions exported sales as flat rows, one per item sold.
+// Fold them into receipts the way migrations v9 and v10 folded the table:
+// one header per receiptId (or the row's own id), lines keeping the sale ids,
+// and whatever was paid as a single payment.
+function legacySales(sales, receipts) {
+  let seq = receipts.reduce((n, r) => Math.max(n, parseInt(String(r.invoiceNo || '').slice(4), 10) || 0), 0);
+  const groups = new Map();
+  for (const s of sales) {
+    if (!s || s.id == null) continue;
+    const rid = s.receiptId || s.id;
+    if (!groups.has(rid)) groups.set(rid, []);
+    groups.get(rid).push(s);
+  }
+  const out = { receipts: [], receipt_lines: [], payments: [] };
+  const ordered = [...groups].map(([rid, rows]) => ({ rid, rows, date: rows.map(s => s.date || '').sort()[0] }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  for (const { rid, rows, date } of ordered) {
+    const first = rows[0];
+    const subtotal = round2(rows.reduce((n, s) => n + (s.qty || 0) * (s.unitPrice || 0), 0));
+    const total = round2(rows.reduce((n, s) => n + (s.total || 0), 0));
+    const paid = round2(Math.min(rows.reduce((n, s) => n + (s.paid || 0), 0), total));
+    const balance = round2(total - paid);
+    out.receipts.push({
+      id: rid, invoiceNo: formatInvoiceNo(++seq), customer: first.customer || 'Walk-in', phone: first.phone || '',
+      method: first.method || 'Cash', notes: first.notes || '', subtotal, discount: Math.max(0, round2(subtotal - total)),
+      tax: 0, total, paid, balance, status: paymentStatus(paid, balance), dueDate: first.dueDate || null, date
+    });
+    for (const s of rows) {
+      out.receipt_lines.push({
+        id: s.id, receiptId: rid, inventoryId: s.inventoryId || null, product: s.product, category: s.category || '',
+        saleUnit: s.saleUnit || 'pcs', qty: s.qty, unitPrice: s.unitPrice, costPrice: s.costPrice,
+        discount: s.discount, total: s.total
+      });
+    }
+    if (paid > 0) {
+      out.payments.push({
+        id: 'PMT-' + rid, receiptId: rid, type: 'PAYMENT', amount: paid, method: first.method || 'Cash',
+        notes: 'Paid before payment history', date
+      });
+    }
+  }
+  return out;
+}
+
+// Backups from before the format stamp held the app's lists instead of
+// tables, and only some of them. Unpack what they have.
+function legacyTables(data) {
+  const receipts = data.receipts || [];
+  const payables = data.payables || [];
+  const sales = legacySales(data.sales || [], receipts);
+  return {
+    settings: data.settings ? [{ ...data.settings, id: 1 }] : [],
+    inventory: data.inventory || [],
+    receipts: [...receipts.map(({ lines, payments, ...r }) => r), ...sales.receipts],
+    receipt_lines: [...receipts.flatMap(r => r.lines || []), ...sales.receipt_lines],
+    payments: [...receipts.flatMap(r => r.payments || []), ...sales.payments],
+    expenses: data.expenses || [],
+    suppliers: data.suppliers || [],
+    customers: data.customers || [],
+    returns_log: data.returns || [],
+    payables: payables.map(({ payments, ...p }) => p),
+    payable_payments: payables.flatMap(p => p.payments || []),
+    cost_layers: data.batches || []
+  };
+}
+
+/**
+ * Check a parsed backup file and pull out its tables.
+ * @param {Object} data - Parsed JSON
+ * @returns {Promise<Object>} { format, schemaVersion, exportedAt, tables }
+ */
+export async function readBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('This is not a BizTrack backup file');
+  if (data.format == null) {
+    if (!['settings', 'inventory', 'receipts', 'sales', 'expenses'].some(k => k in data)) {
+      throw new Error('This is not a BizTrack backup file');
+    }
+    return { format: 1, schemaVersion: null, exportedAt: null, tables: legacyTables(data) };
+  }
+  if (!Number.isInteger(data.format) || data.format < 2 || !data.tables || typeof data.tables !== 'object') {
+    throw new Error('This backup file is damaged or not a BizTrack backup');
   }
+  if (data.format > BACKUP_FORMAT || (data.schemaVersion || 0) > await getSchemaVersion()) {
+    throw new Error('This backup was made by a newer version of BizTrack — update the app, then restore it');
+  }
+  return { format: data.format, schemaVersion: data.schemaVersion || null, exportedAt: data.exportedAt || null, tables: data.tables };
+}
+
+// Unique columns other than id: a merged row may not reuse a value another
+// record already holds (two devices can both have issued INV-00005)
+async function uniqueKeys(table) {
+  const keys = [];
+  for (const ix of await dbQuery(`PRAGMA index_list(${table})`)) {
+    if (!ix.unique || ix.origin === 'pk') continue;
+    const cols = (await dbQuery(`PRAGMA index_info(${ix.name})`)).map(c => c.name);
+    if (cols.length && !cols.includes('id')) keys.push(cols);
+  }
+  return keys;
+}
+
+const rowLabel = (table, r) => table === 'settings' ? 'Business settings' : r.invoiceNo || r.poNo || r.stNo || r.name || r.product || r.description || r.id;
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Restore a backup, keeping every record's original id.
+ *   REPLACE — every table the backup has is emptied and refilled from it;
+ *             tables it does not have are left as they are. The one
+ *             exception is the stock history of a replaced inventory: when
+ *             the backup has products but no stock ledger or cost layers (files
+ *             from before they existed), the device's are cleared and each
+ *             restored product's stock gets an opening ledger row and batch.
+ *   MERGE   — records the device does not have are added. Where both hold a
+ *             record with the same id and it differs, that is a conflict: the
+ *             device's copy stays unless onConflict is 'BACKUP'. A record
+ *             whose invoice, PO or SKU number is already taken by another
+ *             record is never added and is reported as well.
+ * With dryRun nothing is written; the summary says what would change.
+ * The restore itself is all or nothing.
+ * @param {Object} data - Parsed backup file
+ * @param {Object} [opts] - { mode: 'REPLACE'|'MERGE', onConflict: 'KEEP'|'BACKUP', dryRun }
+ * @returns {Promise<Object>} { format, exportedAt, mode, dryRun,
+ *   tables: [{ table, inBackup, added, updated, unchanged, removed, conflicts }],
+ *   conflicts: [{ table, id, label, reason, fields }], totals }
+ */
+export async function restoreBackup(data, { mode = 'REPLACE', onConflict = 'KEEP', dryRun = false } = {}) {
+  if (!['REPLACE', 'MERGE'].includes(mode)) throw new Error('Unknown restore mode');
+  const backup = await readBackup(data);
+  const has = (table) => Array.isArray(backup.tables[table]);
+  const openStock = mode === 'REPLACE' && has('inventory') && !STOCK_HISTORY.every(has);
+
+  const plan = async (tx) => {
+    const summary = { format: backup.format, exportedAt: backup.exportedAt, mode, dryRun, tables: [], conflicts: [] };
+    for (const table of await backupTableNames()) {
+      const given = backup.tables[table];
+      if (!Array.isArray(given) && !(openStock && STOCK_HISTORY.includes(table))) continue;
+      const rows = (given || []).filter(r => r && typeof r === 'object' && r.id != null);
+      const cols = (await dbQuery(`PRAGMA table_info(${table})`)).map(c => c.name);
+      const current = await dbQuery(`SELECT * FROM ${table}`);
+      const mine = new Map(current.map(r => [String(r.id), r]));
+      const t = { table, inBackup: rows.length, added: 0, updated: 0, unchanged: 0, removed: 0, conflicts: 0 };
+      const writes = [];
+
+      if (mode === 'REPLACE') {
+        const ids = new Set(rows.map(r => String(r.id)));
+        for (const r of rows) {
+          const m = mine.get(String(r.id));
+          if (!m) t.added++;
+          else if (cols.some(c => c in r && !sameValue(r[c], m[c]))) t.updated++;
+          else t.unchanged++;
+        }
+        t.removed = current.filter(r => !ids.has(String(r.id))).length;
+        writes.push(...rows);
+      } else {
+        const keys = await uniqueKeys(table);
+        const taken = keys.map(cols => new Map(
+          current.filter(r => cols.every(c => r[c] != null && r[c] !== '')).map(r => [cols.map(c => r[c]).join('|'), String(r.id)])
+        ));
+        const clash = (r) => keys.findIndex((cols, i) => {
+          if (!cols.every(c => r[c] != null && r[c] !== '')) return false;
+          const owner = taken[i].get(cols.map(c => r[c]).join('|'));
+          return owner != null && owner !== String(r.id);
+        });
+        for (const r of rows) {
+          const id = String(r.id);
+          const m = mine.get(id);
+          const fields = m ? cols.filter(c => c in r && !sameValue(r[c], m[c])) : [];
+          if (m && !fields.length) { t.unchanged++; continue; }
+          const k = clash(r);
+          if (k >= 0) {
+            t.conflicts++;
+            summary.conflicts.push({ table, id, label: rowLabel(table, r), reason: 'TAKEN', fields: keys[k] });
+            continue;
+          }
+          if (m) {
+            t.conflicts++;
+            summary.conflicts.push({ table, id, label: rowLabel(table, m), reason: 'CHANGED', fields });
+            if (onConflict !== 'BACKUP') continue;
+            t.updated++;
+          } else {
+            t.added++;
+          }
+          keys.forEach((cols, i) => {
+            if (cols.every(c => r[c] != null && r[c] !== '')) taken[i].set(cols.map(c => r[c]).join('|'), id);
+          });
+          writes.push(r);
+        }
+      }
+      summary.tables.push(t);
+
+      if (dryRun) continue;
+      if (mode === 'REPLACE') await dbRun(`DELETE FROM ${table}`, [], tx);
+      for (const r of writes) {
+        const use = cols.filter(c => c in r);
+        if (mode === 'MERGE') await dbRun(`DELETE FROM ${table} WHERE id=?`, [r.id], tx);
+        await dbRun(
+          `INSERT INTO ${table} (${use.join(',')}) VALUES (${use.map(() => '?').join(',')})`,
+          use.map(c => (typeof r[c] === 'boolean' ? (r[c] ? 1 : 0) : r[c] ?? null)), tx
+        );
+      }
+    }
+    if (openStock && !dryRun) {
+      for (const p of await dbQuery('SELECT * FROM inventory WHERE stock > 0')) {
+        await moveStock({ ...p, stock: 0 }, p.stock, 'RESTOCK', {
+          unitCost: pWMACost(p), referenceType: 'OPENING', notes: 'Opening stock (restored)'
+        }, tx);
+      }
+    }
+    summary.totals = ['inBackup', 'added', 'updated', 'unchanged', 'removed', 'conflicts']
+      .reduce((o, k) => ({ ...o, [k]: summary.tables.reduce((s, t) => s + t[k], 0) }), {});
+    return summary;
+  };
+
+  return dryRun ? await plan() : await withTransaction(plan);
+}
 
-  // Re-insert
-  for (const item of (data.inventory || [])) await addProduct(item);
-  for (const item of (data.expenses || [])) await addExpense(item);
-  for (const item of (data.suppliers || [])) await addSupplier(item);
-  if (data.settings) await saveSettings(data.settings);
+// Delete every sale, product, bill and record; settings stay
+export async function clearBusinessData() {
+  await withTransaction(async (tx) => {
+    for (const table of BUSINESS_TABLES) await dbRun(`DELETE FROM ${table}`, [], tx);
+  });
 }
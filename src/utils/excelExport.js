@@ -4,56 +4,107 @@
 // Uses SheetJS (xlsx) library
 
 import * as XLSX from 'xlsx';
-import { Filesystem, Directory } from '@capacitor/filesystem';
-import { Share } from '@capacitor/share';
-import { Capacitor } from '@capacitor/core';
+import { saveAndShare } from './fileManager.js';
+import { computePL, computeProductProfitability } from './plEngine.js';
+import { AGING_BUCKETS } from './agingEngine.js';
+import { toBase } from './currencyEngine.js';
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 const fmt = (n, currency = 'UGX') =>
   `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
 
 /**
  * Export all business data to a multi-sheet .xlsx file
- * @param {Object} data - { sales, inventory, expenses, suppliers, customers, returns, settings }
+ * @param {Object} data - { receipts, inventory, expenses, suppliers, customers, returns, payables, batches, settings }
+ *   plus optional basis, payments and payablePayments for the P&L sheet,
+ *   aging (computeAging) for the Debtor Aging sheet and rates for the
+ *   Exchange Rates sheet. The Product Profit sheet covers the same receipts
+ *   and returns, with stock turnover when a valuation is given. Receipts and expenses show the amount in their own
+ *   currency and in the base currency.
  */
 export async function exportToExcel(data) {
   const wb = XLSX.utils.book_new();
   const cur = data.settings?.currency || 'UGX';
+  const receipts = data.receipts || [];
 
-  // ─── SALES SHEET ─────────────────────────────────────────────
-  const salesRows = (data.sales || []).map(s => ({
-    'Receipt ID': s.id,
-    'Date': new Date(s.date).toLocaleString(),
-    'Customer': s.customer,
-    'Phone': s.phone || '',
-    'Product': s.product,
-    'Category': s.category || '',
-    'Qty': s.qty,
-    'Unit Price': s.unitPrice,
-    'Cost Price': s.costPrice,
-    'Discount %': s.discount || 0,
-    'Total': s.total,
-    'Amount Paid': s.paid,
-    'Balance': s.balance,
-    'Status': s.status,
-    'Payment Method': s.method,
-    'Notes': s.notes || '',
-    'Due Date': s.dueDate || ''
+  // ─── RECEIPTS SHEET ──────────────────────────────────────────
+  const rcptRows = receipts.map(r => ({
+    'Invoice No': r.invoiceNo || r.id,
+    'Date': new Date(r.date).toLocaleString(),
+    'Customer': r.customer,
+    'Phone': r.phone || '',
+    'Items': (r.lines || []).length,
+    'Subtotal': r.subtotal,
+    'Discount': r.discount || 0,
+    'Tax': r.tax || 0,
+    'Total': r.total,
+    'Amount Paid': r.paid,
+    'Balance': r.balance,
+    'Currency': r.currency || cur,
+    'Rate': r.fxRate || 1,
+    [`Total (${cur})`]: toBase(r.total, r.fxRate),
+    [`Balance (${cur})`]: toBase(r.balance, r.fxRate),
+    'Status': r.status,
+    'Payment Method': r.method,
+    'Notes': r.notes || '',
+    'Due Date': r.dueDate || ''
   }));
-  const wsS = XLSX.utils.json_to_sheet(salesRows.length ? salesRows : [{}]);
-  applySheetStyles(wsS, ['Total', 'Amount Paid', 'Balance', 'Unit Price', 'Cost Price']);
-  XLSX.utils.book_append_sheet(wb, wsS, 'Sales');
+  const wsR = XLSX.utils.json_to_sheet(rcptRows.length ? rcptRows : [{}]);
+  applySheetStyles(wsR, ['Subtotal', 'Total', 'Amount Paid', 'Balance', `Total (${cur})`, `Balance (${cur})`]);
+  XLSX.utils.book_append_sheet(wb, wsR, 'Receipts');
+
+  // ─── SALES LINES SHEET ───────────────────────────────────────
+  // Cost prices are in the base currency, so profit is worked out in base
+  const lineRows = receipts.flatMap(r => (r.lines || []).map(l => ({
+    'Invoice No': r.invoiceNo || r.id,
+    'Date': new Date(r.date).toLocaleString(),
+    'Customer': r.customer,
+    'Product': l.product,
+    'Category': l.category || '',
+    'Qty': l.qty,
+    'Unit': l.saleUnit || '',
+    'Currency': r.currency || cur,
+    'Unit Price': l.unitPrice,
+    [`Cost Price (${cur})`]: l.costPrice,
+    'Discount %': l.discount || 0,
+    'Line Total': l.total,
+    [`Line Total (${cur})`]: toBase(l.total, r.fxRate),
+    [`Line Profit (${cur})`]: toBase(l.total, r.fxRate) - (l.qty || 0) * (l.costPrice || 0)
+  })));
+  const wsS = XLSX.utils.json_to_sheet(lineRows.length ? lineRows : [{}]);
+  applySheetStyles(wsS, ['Line Total', 'Unit Price', `Cost Price (${cur})`]);
+  XLSX.utils.book_append_sheet(wb, wsS, 'Sales Lines');
 
   // ─── INVENTORY SHEET ─────────────────────────────────────────
+  // Stock is valued with data.valuation (FIFO or WMA, at its date) when given
+  const closing = data.valuation && data.valuation.closing;
+  const valued = new Map(((closing && closing.rows) || []).map(r => [r.productId, r]));
+  // Batches on hand per product, earliest expiry first
+  const batchesOf = new Map();
+  for (const b of (data.batches || [])) {
+    if (!b.batchNo && !b.expiryDate) continue;
+    if (!batchesOf.has(b.productId)) batchesOf.set(b.productId, []);
+    batchesOf.get(b.productId).push(b);
+  }
   const invRows = (data.inventory || []).map(p => ({
     'Product ID': p.id,
+    'SKU': p.sku || '',
+    'Barcode': p.barcode || '',
     'Product Name': p.name,
+    'Variant Of': p.parentId ? ((data.inventory.find(x => x.id === p.parentId) || {}).name || p.parentId) : '',
     'Category': p.category,
     'Unit': p.unit,
     'Cost Price': p.costPrice,
     'Selling Price': p.sellPrice,
     'Current Stock': p.stock,
+    'Batches': (batchesOf.get(p.id) || [])
+      .map(b => `${b.batchNo || 'No batch'}: ${Math.round(b.remaining * 1000) / 1000}${b.expiryDate ? ` (exp ${b.expiryDate})` : ''}`)
+      .join('; '),
+    'Next Expiry': ((batchesOf.get(p.id) || []).find(b => b.expiryDate) || {}).expiryDate || '',
     'Reorder Level': p.reorderLevel,
-    'Stock Value (Cost)': (p.stock || 0) * (p.costPrice || 0),
+    'Stock Value (Cost)': closing ? ((valued.get(p.id) || {}).value || 0) : (p.stock || 0) * (p.costPrice || 0),
+    ...(closing ? { 'Valuation': `${closing.method} at ${closing.asOf}` } : {}),
     'Stock Value (Sell)': (p.stock || 0) * (p.sellPrice || 0),
     'Profit/Unit': (p.sellPrice || 0) - (p.costPrice || 0),
     'Margin %': p.sellPrice > 0 ? (((p.sellPrice - p.costPrice) / p.sellPrice) * 100).toFixed(1) + '%' : '0%',
@@ -71,6 +122,9 @@ export async function exportToExcel(data) {
     'Category': e.category,
     'Description': e.description,
     'Amount': e.amount,
+    'Currency': e.currency || cur,
+    'Rate': e.fxRate || 1,
+    [`Amount (${cur})`]: toBase(e.amount, e.fxRate),
     'Payment Method': e.method,
     'Reference': e.reference || ''
   }));
@@ -78,48 +132,82 @@ export async function exportToExcel(data) {
   XLSX.utils.book_append_sheet(wb, wsE, 'Expenses');
 
   // ─── P&L SUMMARY SHEET ───────────────────────────────────────
-  const allSales = data.sales || [];
-  const allExp   = data.expenses || [];
-  const allRet   = data.returns || [];
-  const revenue  = allSales.reduce((s, r) => s + (r.total || 0), 0);
-  const collected = allSales.reduce((s, r) => s + (r.paid || 0), 0);
-  const cogs     = allSales.reduce((s, r) => s + ((r.qty || 0) * (r.costPrice || 0)), 0);
-  const grossP   = revenue - cogs;
-  const totalExp = allExp.reduce((s, r) => s + (r.amount || 0), 0);
-  const netP     = grossP - totalExp;
-  const refunds  = allRet.reduce((s, r) => s + (r.refund || 0), 0);
+  const pl = computePL(receipts, data.expenses || [], data.returns || [], data.settings || {}, {
+    basis: data.basis,
+    payments: data.payments,
+    payables: data.payables || [],
+    payablePayments: data.payablePayments,
+    valuation: data.valuation
+  });
+  const { revenue, collected, cogs, refunds } = pl;
+  const grossP   = pl.grossProfit;
+  const totalExp = pl.totalExpenses;
+  const netP     = pl.netProfit;
 
   const plRows = [
     ['INCOME STATEMENT', '', ''],
+    ['Basis', pl.basis === 'CASH' ? 'Cash' : 'Accrual',
+      pl.basis === 'CASH' ? 'Payments received and bills paid in the period' : 'Invoiced sales less returns; bills counted when received'],
+    ['Currency', cur, pl.convertedCurrencies.length
+      ? `${pl.convertedCurrencies.join(', ')} converted at the rate on each transaction` : ''],
     ['', '', ''],
     ['REVENUE', '', ''],
-    ['Total Revenue', revenue, ''],
+    ['Gross Sales', pl.grossRevenue, ''],
+    ['Less: Returns', -pl.returnsValue, `${pl.returnsCount} return line(s)`],
+    ['Net Revenue', revenue, ''],
     ['Total Collected', collected, ''],
     ['Collection Rate', revenue > 0 ? ((collected / revenue) * 100).toFixed(1) + '%' : '0%', ''],
-    ['Total Refunds', refunds, ''],
+    ['Returns Settled (incl. tax)', refunds, ''],
     ['', '', ''],
     ['COST OF GOODS SOLD', '', ''],
     ['Cost of Goods Sold (COGS)', cogs, ''],
+    ...(pl.closingStock != null ? [
+      ['Stock on Hand at Start', pl.openingStock, pl.costingMethod],
+      ['Stock on Hand at End', pl.closingStock, pl.costingMethod]
+    ] : []),
     ['', '', ''],
     ['GROSS PROFIT', grossP, revenue > 0 ? ((grossP / revenue) * 100).toFixed(1) + '% margin' : ''],
     ['', '', ''],
     ['OPERATING EXPENSES', '', ''],
-    ['Total Expenses', totalExp, ''],
+    ['Total Expenses', totalExp, pl.billsExpensed > 0 ? `incl. ${Math.round(pl.billsExpensed)} in bills` : ''],
     ['', '', ''],
     ['NET PROFIT', netP, revenue > 0 ? ((netP / revenue) * 100).toFixed(1) + '% margin' : ''],
     ['', '', ''],
     ['TRANSACTIONS SUMMARY', '', ''],
-    ['Total Sales Count', allSales.length, ''],
-    ['Unique Customers', [...new Set(allSales.map(s => s.customer))].length, ''],
-    ['Products Sold (units)', allSales.reduce((s, r) => s + (r.qty || 0), 0), ''],
-    ['Paid Sales', allSales.filter(s => s.status === 'PAID').length, ''],
-    ['Overdue Sales', allSales.filter(s => s.status === 'OVERDUE').length, ''],
+    ['Total Receipts', pl.salesCount, ''],
+    ['Unique Customers', pl.uniqueCustomers, ''],
+    ['Products Sold (units)', pl.unitsSold, ''],
+    ['Paid Receipts', pl.statusCounts.PAID || 0, ''],
+    ['Overdue Receipts', receipts.filter(r => r.status !== 'PAID' && r.dueDate && new Date(r.dueDate) < new Date()).length, ''],
   ];
 
   const wsPL = XLSX.utils.aoa_to_sheet(plRows);
   wsPL['!cols'] = [{ wch: 35 }, { wch: 20 }, { wch: 20 }];
   XLSX.utils.book_append_sheet(wb, wsPL, 'P&L Summary');
 
+  // ─── PRODUCT PROFIT SHEET ────────────────────────────────────
+  const prodRows = computeProductProfitability(receipts, data.returns || [], {
+    inventory: data.inventory, valuation: data.valuation
+  }).map(r => ({
+    'Product': r.product,
+    'Category': r.category,
+    'Units Sold': r.unitsSold,
+    'Units Returned': r.unitsReturned,
+    [`Sales (${cur})`]: r.grossRevenue,
+    'Discounts Given': r.discounts,
+    'Returns': r.returnsValue,
+    'Net Revenue': r.revenue,
+    'COGS (cost at sale)': r.cogs,
+    'Gross Profit': r.grossProfit,
+    'Margin %': r.margin != null ? r.margin.toFixed(1) + '%' : '',
+    'Sales Below Cost': r.belowCostLines,
+    'Flag': r.belowCost ? 'SELLING BELOW COST' : '',
+    'Average Stock Value': r.avgStock ?? '',
+    'Stock Turnover': r.turnover ?? ''
+  }));
+  const wsProd = XLSX.utils.json_to_sheet(prodRows.length ? prodRows : [{}]);
+  XLSX.utils.book_append_sheet(wb, wsProd, 'Product Profit');
+
   // ─── CUSTOMERS SHEET ─────────────────────────────────────────
   const cusRows = (data.customers || []).map(c => ({
     'Customer ID': c.id,
@@ -133,6 +221,21 @@ export async function exportToExcel(data) {
   const wsC = XLSX.utils.json_to_sheet(cusRows.length ? cusRows : [{}]);
   XLSX.utils.book_append_sheet(wb, wsC, 'Customers');
 
+  // ─── DEBTOR AGING SHEET ──────────────────────────────────────
+  if (data.aging) XLSX.utils.book_append_sheet(wb, agingSheet(data.aging, cur), 'Debtor Aging');
+
+  // ─── EXCHANGE RATES SHEET ────────────────────────────────────
+  if ((data.rates || []).length) {
+    const wsFx = XLSX.utils.json_to_sheet(data.rates.map(r => ({
+      'Currency': r.currency,
+      'Date': r.date,
+      [`Rate (${cur} per 1)`]: r.rate,
+      'Notes': r.notes || ''
+    })));
+    applySheetStyles(wsFx);
+    XLSX.utils.book_append_sheet(wb, wsFx, 'Exchange Rates');
+  }
+
   // ─── SUPPLIERS SHEET ─────────────────────────────────────────
   const supRows = (data.suppliers || []).map(s => ({
     'Supplier ID': s.id,
@@ -148,33 +251,16 @@ export async function exportToExcel(data) {
 
   // ─── WRITE & SHARE ────────────────────────────────────────────
   const fileName = `biztrack_export_${new Date().toISOString().slice(0, 10)}.xlsx`;
-
-  if (Capacitor.isNativePlatform()) {
-    const wbOut = XLSX.write(wb, { type: 'base64', bookType: 'xlsx' });
-    try {
-      const result = await Filesystem.writeFile({
-        path: fileName,
-        data: wbOut,
-        directory: Directory.Documents
-      });
-      await Share.share({
-        title: 'BizTrack Pro Export',
-        text: 'Your BizTrack Pro business data export',
-        url: result.uri,
-        dialogTitle: 'Open with Excel or Google Sheets'
-      });
-    } catch (err) {
-      console.error('Export share failed:', err);
-      // Fallback download
-      downloadExcel(wb, fileName);
-    }
-  } else {
-    downloadExcel(wb, fileName);
-  }
+  return await shareWorkbook(wb, fileName);
 }
 
-function downloadExcel(wb, fileName) {
-  XLSX.writeFile(wb, fileName);
+async function shareWorkbook(wb, fileName) {
+  const wbOut = XLSX.write(wb, { type: 'base64', bookType: 'xlsx' });
+  return await saveAndShare(fileName, wbOut, XLSX_MIME, {
+    title: 'BizTrack Pro Export',
+    text: 'Your BizTrack Pro business data export',
+    dialogTitle: 'Open with Excel or Google Sheets'
+  });
 }
 
 function applySheetStyles(ws, numberCols) {
@@ -197,13 +283,94 @@ function applySheetStyles(ws, numberCols) {
  */
 export async function exportReportToExcel(reportData, settings, fromDate, toDate) {
   const filteredData = {
-    sales: reportData.sales,
+    receipts: reportData.receipts,
     expenses: reportData.expenses,
     returns: reportData.returns,
+    payments: reportData.payments,
+    payables: reportData.payables,
+    payablePayments: reportData.payablePayments,
+    basis: reportData.basis,
+    valuation: reportData.valuation,
     inventory: [],
     customers: [],
     suppliers: [],
     settings
   };
-  await exportToExcel(filteredData);
+  return await exportToExcel(filteredData);
+}
+
+/**
+ * Export a stocktake's variance / shrinkage report: a summary sheet and one
+ * row per product with expected, counted, variance and value at WMA cost.
+ * @param {Object} session - From getStocktake, with lines and summary
+ */
+export async function exportStocktakeToExcel(session, settings = {}) {
+  const wb = XLSX.utils.book_new();
+  const cur = settings.currency || 'UGX';
+  const { summary } = session;
+
+  const wsSum = XLSX.utils.aoa_to_sheet([
+    [`${settings.bizName || 'BizTrack Pro'} — Stocktake ${session.stNo}`],
+    ['Scope', session.category || 'All products'],
+    ['Started', new Date(session.date).toLocaleString()],
+    ['Status', session.status + (session.postedAt ? ` (${new Date(session.postedAt).toLocaleString()})` : '')],
+    [],
+    ['Products counted', `${summary.counted} of ${summary.products}`],
+    [`Expected value (${cur})`, summary.expectedValue],
+    [`Counted value (${cur})`, summary.countedValue],
+    [`Shrinkage (${cur})`, summary.shrinkageValue],
+    [`Surplus (${cur})`, summary.surplusValue],
+    [`Net variance (${cur})`, summary.varianceValue]
+  ]);
+  applySheetStyles(wsSum);
+  XLSX.utils.book_append_sheet(wb, wsSum, 'Summary');
+
+  const rows = [...session.lines]
+    .sort((a, b) => a.varianceValue - b.varianceValue || a.product.localeCompare(b.product))
+    .map(l => ({
+      'Product': l.product,
+      'Category': l.category || '',
+      'Unit': l.baseUnit || '',
+      'Expected': l.expectedQty,
+      'Counted': l.counted ? l.countedQty : '',
+      'Variance': l.counted ? l.varianceQty : '',
+      [`Unit Cost (${cur})`]: Math.round((l.unitCost || 0) * 100) / 100,
+      [`Variance Value (${cur})`]: l.counted ? l.varianceValue : ''
+    }));
+  const wsLines = XLSX.utils.json_to_sheet(rows.length ? rows : [{}]);
+  applySheetStyles(wsLines);
+  XLSX.utils.book_append_sheet(wb, wsLines, 'Variance');
+
+  return await shareWorkbook(wb, `stocktake_${session.stNo}.xlsx`);
+}
+
+// One row per customer owing, amounts split by days past due, with a total row
+function agingSheet(aging, cur) {
+  const rows = aging.rows.map(r => ({
+    'Customer': r.name,
+    'Phone': r.phone || '',
+    'Oldest Invoice': r.oldest ? r.oldest.invoiceNo : '',
+    'Oldest Due Date': r.oldest ? r.oldest.dueDate : '',
+    'Days Past Due': r.oldest ? Math.max(0, r.oldest.daysOverdue) : '',
+    ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.label} (${cur})`, r[b.key]])),
+    [`Total (${cur})`]: r.total
+  }));
+  rows.push({
+    'Customer': 'TOTAL', 'Phone': '', 'Oldest Invoice': '', 'Oldest Due Date': '', 'Days Past Due': '',
+    ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.label} (${cur})`, aging.totals[b.key]])),
+    [`Total (${cur})`]: aging.totals.total
+  });
+  const ws = XLSX.utils.json_to_sheet(rows);
+  applySheetStyles(ws);
+  return ws;
+}
+
+/**
+ * Export the debtor aging report on its own.
+ * @param {Object} aging - From computeAging
+ */
+export async function exportAgingToExcel(aging, settings = {}) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, agingSheet(aging, settings.currency || 'UGX'), 'Debtor Aging');
+  return await shareWorkbook(wb, `debtor_aging_${aging.asOf}.xlsx`);
 }
@@ -0,0 +1,155 @@
+// src/utils/excelImport.js
+// BizTrack Pro - Product Import
+// Reads a CSV or XLSX product list, maps its columns to product fields and
+// checks every row before anything is written. The rows that pass go to
+// importProducts in database.js.
+// Uses SheetJS (xlsx) library
+
+import * as XLSX from 'xlsx';
+
+// Fields a column can be mapped to. Cost and opening stock are in purchase
+// units, the same as the Add Product form; sell price is per base unit.
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Product Name', required: true, aliases: ['name', 'product', 'product name', 'item', 'description'] },
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'code', 'item code', 'product code'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'group', 'department'] },
+  { key: 'baseUnit', label: 'Base Unit (sold in)', aliases: ['base unit', 'unit', 'sale unit', 'uom'] },
+  { key: 'purchaseUnit', label: 'Purchase Unit (bought in)', aliases: ['purchase unit', 'bulk unit', 'pack', 'pack unit'] },
+  { key: 'conversionFactor', label: 'Base Units per Purchase Unit', aliases: ['conversion factor', 'conversion', 'pack size', 'units per pack', 'cf'] },
+  { key: 'cost', label: 'Cost per Purchase Unit', aliases: ['cost', 'cost price', 'buying price', 'purchase price'] },
+  { key: 'sellPrice', label: 'Sell Price per Base Unit', aliases: ['sell price', 'selling price', 'price', 'retail price'] },
+  { key: 'stock', label: 'Opening Stock (purchase units)', aliases: ['stock', 'opening stock', 'qty', 'quantity', 'on hand'] },
+  { key: 'reorderLevel', label: 'Reorder Level (base units)', aliases: ['reorder level', 'reorder', 'min stock', 'alert level', 'low stock'] }
+];
+
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/**
+ * Read the first sheet of a CSV or XLSX file.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { headers: string[], rows: Array<Array> } — rows exclude the header row and blank lines
+ */
+export function readProductSheet(buffer) {
+  const wb = XLSX.read(buffer, { type: 'array' });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws) throw new Error('The file has no sheets');
+  const all = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '', blankrows: false, raw: true });
+  if (!all.length) throw new Error('The file is empty');
+  const headers = all[0].map((h, i) => String(h || '').trim() || `Column ${i + 1}`);
+  const rows = all.slice(1).filter(r => r.some(c => String(c).trim() !== ''));
+  return { headers, rows };
+}
+
+/**
+ * Match column headers to fields by name.
+ * @param {string[]} headers
+ * @returns {Object} field key → column index (fields with no match are left out)
+ */
+export function guessMapping(headers = []) {
+  const mapping = {};
+  const taken = new Set();
+  for (const f of IMPORT_FIELDS) {
+    const i = headers.findIndex((h, idx) => !taken.has(idx) &&
+      (f.aliases.includes(norm(h)) || norm(h) === norm(f.label)));
+    if (i >= 0) { mapping[f.key] = i; taken.add(i); }
+  }
+  return mapping;
+}
+
+// "1,200", "UGX 1 200" and 1200 all read as 1200; blank is null
+function parseNum(v) {
+  if (typeof v === 'number') return v;
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  const n = Number(s.replace(/[^0-9.\-]/g, ''));
+  return /\d/.test(s) && Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Check every row and decide whether it adds a new product or updates one.
+ * An existing product is matched by SKU first, then by name (any case).
+ * @param {Array<Array>} rows - From readProductSheet
+ * @param {Object} mapping - field key → column index
+ * @param {Array} inventory - Current products
+ * @returns {Object} { rows: [{ rowNo, action: 'NEW'|'UPDATE', productId, product, errors, warnings }],
+ *   valid, errors, creates, updates }
+ */
+export function validateImportRows(rows = [], mapping = {}, inventory = []) {
+  if (mapping.name == null) throw new Error('Choose the column that holds the product name');
+  const bySku = new Map(inventory.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+  const byName = new Map(inventory.map(p => [(p.name || '').toLowerCase(), p]));
+  const seen = new Map();
+  const cell = (r, key) => (mapping[key] == null ? '' : r[mapping[key]]);
+
+  const out = rows.map((r, i) => {
+    const rowNo = i + 2; // row 1 is the header
+    const errors = [];
+    const warnings = [];
+    const name = String(cell(r, 'name') ?? '').trim();
+    const sku = String(cell(r, 'sku') ?? '').trim();
+    if (!name) errors.push('Product name is missing');
+
+    const num = {};
+    for (const key of ['conversionFactor', 'cost', 'sellPrice', 'stock', 'reorderLevel']) {
+      num[key] = parseNum(cell(r, key));
+      if (Number.isNaN(num[key])) errors.push(`${IMPORT_FIELDS.find(f => f.key === key).label} is not a number`);
+      else if (num[key] != null && num[key] < 0) errors.push(`${IMPORT_FIELDS.find(f => f.key === key).label} cannot be negative`);
+    }
+
+    const keys = name ? ['name:' + name.toLowerCase()] : [];
+    if (sku) keys.push('sku:' + sku.toLowerCase());
+    const dupOf = keys.map(k => seen.get(k)).find(Boolean);
+    if (dupOf) errors.push(`Same product as row ${dupOf}`);
+    else keys.forEach(k => seen.set(k, rowNo));
+
+    const skuMatch = sku ? bySku.get(sku.toLowerCase()) : null;
+    const nameMatch = byName.get(name.toLowerCase());
+    if (skuMatch && nameMatch && skuMatch.id !== nameMatch.id) {
+      errors.push(`SKU ${sku} belongs to ${skuMatch.name}, but the name matches another product`);
+    }
+    const match = skuMatch || nameMatch || null;
+
+    const baseUnit = String(cell(r, 'baseUnit') ?? '').trim() || (match && (match.baseUnit || match.unit)) || 'pcs';
+    const purchaseUnit = String(cell(r, 'purchaseUnit') ?? '').trim() || (match && match.purchaseUnit) || baseUnit;
+    const cf = num.conversionFactor ?? (match ? match.conversionFactor || 1 : purchaseUnit === baseUnit ? 1 : null);
+    if (cf == null) errors.push(`How many ${baseUnit} are in 1 ${purchaseUnit}?`);
+    else if (cf === 0) errors.push('Base units per purchase unit must be more than 0');
+    if (!match && num.sellPrice == null) errors.push('Sell price is missing');
+    if (!match && num.cost == null) errors.push('Cost is missing');
+    if (num.cost != null && num.sellPrice != null && cf > 0 && num.sellPrice < num.cost / cf) {
+      warnings.push('Sells below cost');
+    }
+    if (match && (num.stock || 0) > 0 && (match.stock || 0) > 0) {
+      warnings.push(`Opening stock ignored — ${match.name} already has ${match.stock} in stock`);
+    }
+    if (match && num.cost != null && (match.stock || 0) > 0) {
+      warnings.push('Cost ignored — the product already has stock at its WMA cost');
+    }
+
+    return {
+      rowNo,
+      action: match ? 'UPDATE' : 'NEW',
+      productId: match ? match.id : null,
+      product: {
+        name, sku: sku || null,
+        category: String(cell(r, 'category') ?? '').trim() || null,
+        baseUnit, purchaseUnit, conversionFactor: cf || 1,
+        costPerBase: num.cost != null && cf > 0 ? num.cost / cf : null,
+        sellPrice: num.sellPrice,
+        stock: num.stock != null && cf > 0 ? num.stock * cf : null,
+        reorderLevel: num.reorderLevel
+      },
+      errors,
+      warnings
+    };
+  });
+
+  const ok = out.filter(r => !r.errors.length);
+  return {
+    rows: out,
+    valid: ok.length,
+    errors: out.length - ok.length,
+    creates: ok.filter(r => r.action === 'NEW').length,
+    updates: ok.filter(r => r.action === 'UPDATE').length
+  };
+}
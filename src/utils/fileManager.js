@@ -0,0 +1,118 @@
+// src/utils/fileManager.js
+// BizTrack Pro - File Save & Share Helpers
+// Writes generated files to device storage and opens the Android share sheet
+// (WhatsApp, Google Drive, Files…). Falls back to a browser download on web.
+
+import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
+import { Share } from '@capacitor/share';
+import { Capacitor } from '@capacitor/core';
+
+/**
+ * Save a file and offer it through the share sheet.
+ * @param {string} fileName
+ * @param {string} data - Base64 data, or plain text when opts.isText is true
+ * @param {string} mimeType - Used for the web download fallback
+ * @param {Object} opts - { title, text, dialogTitle, isText }
+ * @returns {Promise<{success: boolean, uri?: string, error?: string}>}
+ */
+export async function saveAndShare(fileName, data, mimeType, opts = {}) {
+  if (!Capacitor.isNativePlatform()) {
+    try {
+      downloadBlob(fileName, data, mimeType, opts.isText);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  let uri;
+  try {
+    const result = await Filesystem.writeFile({
+      path: fileName,
+      data,
+      directory: Directory.Cache,
+      ...(opts.isText ? { encoding: Encoding.UTF8 } : {})
+    });
+    uri = result.uri;
+  } catch (err) {
+    console.error('File write failed:', err);
+    return { success: false, error: err.message };
+  }
+
+  try {
+    await Share.share({
+      title: opts.title || fileName,
+      text: opts.text || '',
+      url: uri,
+      dialogTitle: opts.dialogTitle || 'Share'
+    });
+  } catch (err) {
+    // Dismissing the share sheet rejects, but the file is already saved
+    if (!/cancel/i.test(err.message || '')) {
+      console.error('Share failed:', err);
+      return { success: false, uri, error: err.message };
+    }
+  }
+  return { success: true, uri };
+}
+
+/**
+ * Save a JSON document (e.g. a backup) and open the share sheet.
+ * @param {string} fileName
+ * @param {string} json - Serialised JSON text
+ * @param {string} dialogTitle
+ */
+export async function saveJsonFile(fileName, json, dialogTitle = 'Save Backup') {
+  return await saveAndShare(fileName, json, 'application/json', {
+    title: fileName,
+    text: 'BizTrack Pro data backup',
+    dialogTitle,
+    isText: true
+  });
+}
+
+/**
+ * Offer a text message through the share sheet (WhatsApp, SMS, email…).
+ * On web, uses the browser's share sheet when it has one, otherwise copies
+ * the text to the clipboard.
+ * @param {string} text
+ * @param {string} dialogTitle
+ * @returns {Promise<{success: boolean, copied?: boolean, error?: string}>}
+ */
+export async function shareText(text, dialogTitle = 'Share') {
+  try {
+    if (Capacitor.isNativePlatform()) {
+      await Share.share({ text, dialogTitle });
+    } else if (navigator.share) {
+      await navigator.share({ text });
+    } else {
+      await navigator.clipboard.writeText(text);
+      return { success: true, copied: true };
+    }
+    return { success: true };
+  } catch (err) {
+    if (/cancel|abort/i.test(err.message || err.name || '')) return { success: false, error: 'cancelled' };
+    console.error('Share failed:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+function downloadBlob(fileName, data, mimeType, isText) {
+  let blob;
+  if (isText) {
+    blob = new Blob([data], { type: mimeType });
+  } else {
+    const bin = atob(data);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    blob = new Blob([bytes], { type: mimeType });
+  }
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
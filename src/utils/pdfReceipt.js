@@ -7,18 +7,28 @@ import autoTable from 'jspdf-autotable';
 import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
 import { Share } from '@capacitor/share';
 import { Capacitor } from '@capacitor/core';
+import { computePL, computeReceiptTotals, comparePL } from './plEngine.js';
+import { trendPoints, trendLayout, mixSegments } from './chartEngine.js';
+import { formatMoney, toBase } from './currencyEngine.js';
 
 /**
  * Generate a PDF receipt for a sale and offer sharing via WhatsApp/other apps.
- * @param {Object} sale - Sale record from DB
+ * Prints every line with its discount, then the totals exactly as stored on
+ * the receipt (tax mode, amount paid, change given, balance due). A sale in
+ * another currency is printed in that currency, with the rate and the total
+ * and balance in the base currency under it.
+ * @param {Object} sale - Receipt from DB, with its lines
  * @param {Object} settings - Business settings
  * @returns {Promise<void>}
  */
 export async function generateAndShareReceipt(sale, settings) {
   const doc = new jsPDF({ unit: 'mm', format: 'a6', orientation: 'portrait' });
 
-  const currency = settings.currency || 'UGX';
-  const fmt = (n) => `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
+  const base = settings.currency || 'UGX';
+  const currency = sale.currency || base;
+  const foreign = currency !== base && sale.fxRate > 0;
+  const fmt = (n) => formatMoney(n, currency);
+  const fmtBase = (n) => formatMoney(toBase(n, sale.fxRate), base);
   const pageW = doc.internal.pageSize.getWidth();
 
   // ─── Header ────────────────────────────────────────────────────
@@ -47,12 +57,14 @@ export async function generateAndShareReceipt(sale, settings) {
   const y0 = 33;
 
   const infoRows = [
-    ['Receipt #', sale.id || 'N/A'],
+    ['Receipt #', sale.invoiceNo || sale.id || 'N/A'],
     ['Date', saleDate],
     ['Customer', sale.customer || 'Walk-in'],
     ['Phone', sale.phone || '-'],
     ['Payment', sale.method || 'Cash'],
   ];
+  if (sale.priceList) infoRows.push(['Price List', sale.priceList]);
+  if (foreign) infoRows.push(['Rate', `1 ${currency} = ${formatMoney(sale.fxRate, base)}`]);
 
   infoRows.forEach(([label, value], i) => {
     doc.setFont('helvetica', 'bold');
@@ -71,12 +83,13 @@ export async function generateAndShareReceipt(sale, settings) {
 
   // ─── Items Table ───────────────────────────────────────────────
   const tableY = divY + 3;
-  const discount = sale.discount || 0;
-  const subtotal = (sale.qty || 1) * (sale.unitPrice || 0);
-  const discountAmt = subtotal * (discount / 100);
-  const total = sale.total || subtotal - discountAmt;
-  const tax = settings.taxRate > 0 ? total * (settings.taxRate / 100) : 0;
-  const grandTotal = total + tax;
+  const lines = sale.lines || [sale];
+  // Saved receipts carry their own totals; anything else is priced with the current settings
+  const t = sale.lines && sale.total != null
+    ? { subtotal: sale.subtotal || 0, discount: sale.discount || 0, tax: sale.tax || 0,
+        taxRate: sale.taxRate || 0, taxInclusive: !!sale.taxInclusive, total: sale.total || 0 }
+    : computeReceiptTotals(lines, settings);
+  const hasLineDiscount = lines.some(l => (l.discount || 0) > 0);
 
   autoTable(doc, {
     startY: tableY,
@@ -89,21 +102,28 @@ export async function generateAndShareReceipt(sale, settings) {
     },
     bodyStyles: { fontSize: 8, textColor: [30, 30, 30] },
     alternateRowStyles: { fillColor: [247, 244, 239] },
-    head: [['Item', 'Qty', 'Unit Price', 'Amount']],
-    body: [
-      [
-        sale.product || 'Item',
-        String(sale.qty || 1),
-        fmt(sale.unitPrice || 0),
-        fmt(subtotal)
-      ]
-    ],
-    columnStyles: {
-      0: { cellWidth: 'auto' },
-      1: { cellWidth: 12, halign: 'center' },
-      2: { cellWidth: 22, halign: 'right' },
-      3: { cellWidth: 22, halign: 'right' }
-    }
+    head: [hasLineDiscount ? ['Item', 'Qty', 'Price', 'Disc', 'Amount'] : ['Item', 'Qty', 'Unit Price', 'Amount']],
+    body: lines.map(l => {
+      const amount = l.lineTotal != null ? l.lineTotal : (l.total != null ? l.total : (l.qty || 0) * (l.unitPrice || 0));
+      const item = `${l.product || 'Item'}${l.saleUnit && l.saleUnit !== 'pcs' ? ` (${l.saleUnit})` : ''}`;
+      return hasLineDiscount
+        ? [item, String(l.qty || 1), fmt(l.unitPrice || 0), l.discount > 0 ? `${l.discount}%` : '-', fmt(amount)]
+        : [item, String(l.qty || 1), fmt(l.unitPrice || 0), fmt(amount)];
+    }),
+    columnStyles: hasLineDiscount
+      ? {
+        0: { cellWidth: 'auto' },
+        1: { cellWidth: 9, halign: 'center' },
+        2: { cellWidth: 20, halign: 'right' },
+        3: { cellWidth: 10, halign: 'center' },
+        4: { cellWidth: 21, halign: 'right' }
+      }
+      : {
+        0: { cellWidth: 'auto' },
+        1: { cellWidth: 12, halign: 'center' },
+        2: { cellWidth: 22, halign: 'right' },
+        3: { cellWidth: 22, halign: 'right' }
+      }
   });
 
   // ─── Totals ────────────────────────────────────────────────────
@@ -111,15 +131,27 @@ export async function generateAndShareReceipt(sale, settings) {
   doc.setFontSize(8);
 
   const totals = [];
-  if (discount > 0) totals.push([`Discount (${discount}%)`, `-${fmt(discountAmt)}`]);
-  if (tax > 0) totals.push([`Tax (${settings.taxRate}%)`, fmt(tax)]);
-  totals.push(['TOTAL', fmt(grandTotal)]);
+  if (t.discount > 0) totals.push(['Subtotal', fmt(t.subtotal)], ['Discounts', `-${fmt(t.discount)}`]);
+  if (t.tax > 0 && !t.taxInclusive) totals.push([`Tax (${t.taxRate}%)`, fmt(t.tax)]);
+  totals.push(['TOTAL', fmt(t.total)]);
+  if (foreign) totals.push([`Total in ${base}`, fmtBase(t.total)]);
+  if (t.tax > 0 && t.taxInclusive) totals.push([`Includes tax (${t.taxRate}%)`, fmt(t.tax)]);
+  if ((sale.tendered || 0) > (sale.paid || 0)) totals.push(['Cash Received', fmt(sale.tendered)]);
   totals.push(['Amount Paid', fmt(sale.paid || 0)]);
+  if ((sale.changeGiven || 0) > 0) totals.push(['Change Given', fmt(sale.changeGiven)]);
   if ((sale.balance || 0) > 0) totals.push(['Balance Due', fmt(sale.balance)]);
+  if (foreign && (sale.balance || 0) > 0) totals.push([`Balance Due in ${base}`, fmtBase(sale.balance)]);
+
+  // Long receipts: keep the totals block, badge and footer together on one page
+  const blockH = totals.length * 6 + 35;
+  if (tY + blockH > doc.internal.pageSize.getHeight()) {
+    doc.addPage();
+    tY = 12;
+  }
 
   totals.forEach(([label, val], i) => {
     const isTotal = label === 'TOTAL';
-    const isBalance = label === 'Balance Due';
+    const isBalance = label.startsWith('Balance Due');
     if (isTotal) {
       doc.setFillColor(27, 58, 75);
       doc.roundedRect(8, tY - 3, pageW - 16, 8, 1, 1, 'F');
@@ -169,7 +201,7 @@ export async function generateAndShareReceipt(sale, settings) {
 
   // ─── Save & Share ─────────────────────────────────────────────
   const pdfBase64 = doc.output('datauristring').split(',')[1];
-  const fileName = `receipt_${sale.id}_${Date.now()}.pdf`;
+  const fileName = `receipt_${sale.invoiceNo || sale.id}_${Date.now()}.pdf`;
 
   if (Capacitor.isNativePlatform()) {
     try {
@@ -183,7 +215,7 @@ export async function generateAndShareReceipt(sale, settings) {
 
       await Share.share({
         title: `Receipt from ${settings.bizName || 'BizTrack Pro'}`,
-        text: `Here is your receipt for ${sale.product} — ${fmt(sale.total || 0)}`,
+        text: `Here is your receipt ${sale.invoiceNo || ''} — ${fmt(sale.total || 0)}`,
         url: result.uri,
         dialogTitle: 'Share Receipt'
       });
@@ -198,8 +230,79 @@ export async function generateAndShareReceipt(sale, settings) {
   }
 }
 
+// Short amounts for chart labels: 1.2M, 350K
+const short = (n) => {
+  const a = Math.abs(n), sign = n < 0 ? '-' : '';
+  if (a >= 1e6) return `${sign}${(a / 1e6).toFixed(1)}M`;
+  if (a >= 1e3) return `${sign}${Math.round(a / 1e3)}K`;
+  return `${sign}${Math.round(a)}`;
+};
+
+// Start a new page when the next h mm would run into the footer
+function roomFor(doc, y, h) {
+  if (y + h <= doc.internal.pageSize.getHeight() - 18) return y;
+  doc.addPage();
+  return 20;
+}
+
+function chartTitle(doc, text, x, y) {
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(27, 58, 75);
+  doc.text(text, x, y);
+}
+
+// Revenue bars and gross profit line, laid out by chartEngine in mm
+function drawTrendChart(doc, points, x, y, w, h) {
+  const L = trendLayout(points, { width: w, height: h, top: 6, bottom: 6 });
+  doc.setFontSize(7);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(107, 114, 128);
+  doc.text(short(L.max), x, y + 3);
+  doc.setFillColor('#E8A020');
+  doc.rect(x + w - 58, y + 0.8, 3, 3, 'F');
+  doc.text('Revenue', x + w - 54, y + 3);
+  doc.setFillColor('#2D6A4F');
+  doc.rect(x + w - 30, y + 1.8, 4, 0.8, 'F');
+  doc.text('Gross profit', x + w - 25, y + 3);
+  doc.setFillColor('#E8A020');
+  for (const b of L.bars) if (b.h > 0) doc.rect(x + b.x, y + b.y, b.w, b.h, 'F');
+  doc.setDrawColor(229, 231, 235);
+  doc.setLineWidth(0.2);
+  doc.line(x, y + L.zeroY, x + w, y + L.zeroY);
+  doc.setDrawColor('#2D6A4F');
+  doc.setLineWidth(0.5);
+  for (let i = 1; i < L.line.length; i++) {
+    doc.line(x + L.line[i - 1][0], y + L.line[i - 1][1], x + L.line[i][0], y + L.line[i][1]);
+  }
+  for (const t of L.ticks) doc.text(t.label, x + t.x, y + h - 1, { align: 'center' });
+}
+
+// Stacked share bar with a legend line per segment; returns the height used
+function drawMixChart(doc, segments, x, y, w, fmt) {
+  for (const s of segments) {
+    doc.setFillColor(s.color);
+    if (s.w > 0) doc.rect(x + s.x * w, y, s.w * w, 4, 'F');
+  }
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(55, 65, 81);
+  segments.forEach((s, i) => {
+    const ly = y + 10 + i * 5;
+    doc.setFillColor(s.color);
+    doc.rect(x, ly - 2.6, 2.8, 2.8, 'F');
+    doc.text(s.label.length > 22 ? s.label.slice(0, 20) + '...' : s.label, x + 4.5, ly);
+    doc.text(`${fmt(s.value)} · ${s.pct}%`, x + w, ly, { align: 'right' });
+  });
+  return 10 + segments.length * 5;
+}
+
 /**
- * Generate a P&L Summary PDF and share/download
+ * Generate a P&L Summary PDF and share/download.
+ * With reportData.comparison ([{ label, pl }] — the P&L of last month, the
+ * same period last year and so on) a comparison table follows the income
+ * statement. The daily trend and the category and payment-method mix are
+ * drawn as charts.
  */
 export async function generatePLReport(reportData, settings, fromDate, toDate) {
   const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
@@ -207,16 +310,12 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
   const fmt = (n) => `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
   const pageW = doc.internal.pageSize.getWidth();
 
-  const { sales, expenses, returns } = reportData;
-  const revenue   = sales.reduce((s, r) => s + (r.total || 0), 0);
-  const collected = sales.reduce((s, r) => s + (r.paid || 0), 0);
-  const cogs      = sales.reduce((s, r) => s + ((r.qty || 0) * (r.costPrice || 0)), 0);
-  const grossP    = revenue - cogs;
-  const totalExp  = expenses.reduce((s, r) => s + (r.amount || 0), 0);
-  const netP      = grossP - totalExp;
-  const refunds   = returns.reduce((s, r) => s + (r.refund || 0), 0);
-  const gm        = revenue > 0 ? ((grossP / revenue) * 100).toFixed(1) : '0.0';
-  const nm        = revenue > 0 ? ((netP / revenue) * 100).toFixed(1) : '0.0';
+  const { receipts, expenses, returns, payments, payables, payablePayments, basis, valuation } = reportData;
+  const pl = computePL(receipts, expenses, returns, settings, { basis, payments, payables, payablePayments, valuation });
+  const { revenue, collected, cogs, refunds, grossMargin: gm, netMargin: nm } = pl;
+  const grossP   = pl.grossProfit;
+  const totalExp = pl.totalExpenses;
+  const netP     = pl.netProfit;
 
   // Header
   doc.setFillColor(27, 58, 75);
@@ -229,8 +328,12 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
   doc.text('Profit & Loss Report', 15, 24);
   doc.setFontSize(9);
   doc.setFont('helvetica', 'normal');
-  doc.text(`Period: ${fromDate} to ${toDate}`, 15, 32);
+  doc.text(`Period: ${fromDate} to ${toDate} · ${pl.basis === 'CASH' ? 'Cash' : 'Accrual'} basis`, 15, 32);
   doc.text(`Generated: ${new Date().toLocaleString()}`, pageW - 15, 32, { align: 'right' });
+  if (pl.convertedCurrencies.length) {
+    doc.setFontSize(8);
+    doc.text(`${pl.convertedCurrencies.join(', ')} converted to ${currency} at the rate on each transaction`, 15, 37);
+  }
 
   // P&L Summary Table
   let startY = 48;
@@ -246,15 +349,24 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
     headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255], fontStyle: 'bold' },
     body: [
       [{ content: 'REVENUE', styles: { fontStyle: 'bold', fillColor: [235, 240, 243] } }, ''],
-      ['Total Revenue', fmt(revenue)],
+      ['Gross Sales', fmt(pl.grossRevenue)],
+      [`Less: Returns (${pl.returnsCount})`, `(${fmt(pl.returnsValue)})`],
+      [{ content: 'Net Revenue', styles: { fontStyle: 'bold' } }, { content: fmt(revenue), styles: { fontStyle: 'bold' } }],
+      ...(pl.taxCollected > 0 ? [['Tax Collected (not revenue)', fmt(pl.taxCollected)]] : []),
       ['Total Collected', fmt(collected)],
       ['Collection Rate', `${revenue > 0 ? ((collected / revenue) * 100).toFixed(1) : 0}%`],
-      ['Less: Refunds', `(${fmt(refunds)})`],
+      ['Cash Received in Period', fmt(pl.cashCollected)],
+      ...(refunds > 0 ? [['Returns Settled (incl. tax)', fmt(refunds)]] : []),
       [{ content: 'COST OF GOODS', styles: { fontStyle: 'bold', fillColor: [235, 240, 243] } }, ''],
-      ['Cost of Goods Sold', `(${fmt(cogs)})`],
+      ['Cost of Goods Sold (net of returns)', `(${fmt(cogs)})`],
+      ...(pl.closingStock != null ? [
+        [`Stock on hand at start (${pl.costingMethod})`, fmt(pl.openingStock)],
+        [`Stock on hand at end (${pl.costingMethod})`, fmt(pl.closingStock)]
+      ] : []),
       [{ content: `GROSS PROFIT — Margin ${gm}%`, styles: { fontStyle: 'bold', fillColor: [234, 244, 238] } }, { content: fmt(grossP), styles: { fontStyle: 'bold', textColor: grossP >= 0 ? [45, 106, 79] : [193, 68, 14] } }],
       [{ content: 'OPERATING EXPENSES', styles: { fontStyle: 'bold', fillColor: [235, 240, 243] } }, ''],
       ['Total Expenses', `(${fmt(totalExp)})`],
+      ...(pl.billsExpensed > 0 ? [[`  of which bills ${pl.basis === 'CASH' ? 'paid' : 'received'}`, fmt(pl.billsExpensed)]] : []),
       [{ content: `NET PROFIT — Margin ${nm}%`, styles: { fontStyle: 'bold', fillColor: netP >= 0 ? [234, 244, 238] : [253, 238, 232] } }, { content: fmt(netP), styles: { fontStyle: 'bold', textColor: netP >= 0 ? [45, 106, 79] : [193, 68, 14] } }],
     ],
     columnStyles: {
@@ -263,19 +375,68 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
     }
   });
 
+  // Comparison with earlier periods, then the charts; y is where the last part ended
+  let y = doc.lastAutoTable.finalY;
+  if (reportData.comparison && reportData.comparison.length) {
+    const rows = comparePL(pl, reportData.comparison);
+    const change = (a, unit) => {
+      if (a.trend === 'flat') return '—';
+      const sign = a.delta > 0 ? '+' : '-';
+      if (unit === 'pct') return `${sign}${Math.abs(a.delta).toFixed(1)} pts`;
+      return `${sign}${fmt(Math.abs(a.delta))}${a.pct != null ? ` (${sign}${Math.abs(a.pct).toFixed(1)}%)` : ''}`;
+    };
+    const show = (n, unit) => (unit === 'pct' ? `${Number(n).toFixed(1)}%` : fmt(n));
+    y = roomFor(doc, y + 10, 40);
+    chartTitle(doc, 'Compared with Earlier Periods', 15, y);
+    autoTable(doc, {
+      startY: y + 4,
+      margin: { left: 15, right: 15 },
+      head: [['', 'This Period', ...reportData.comparison.flatMap(c => [c.label, 'Change'])]],
+      headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255], fontStyle: 'bold', fontSize: 8 },
+      bodyStyles: { fontSize: 8 },
+      body: rows.map(r => [
+        { content: r.label, styles: { fontStyle: 'bold' } },
+        show(r.current, r.unit),
+        ...r.against.flatMap(a => [show(a.value, r.unit), {
+          content: change(a, r.unit),
+          styles: { textColor: a.better == null ? [107, 114, 128] : a.better ? [45, 106, 79] : [193, 68, 14] }
+        }])
+      ]),
+      columnStyles: Object.fromEntries([1, 2, 3, 4, 5].map(i => [i, { halign: 'right' }]))
+    });
+    y = doc.lastAutoTable.finalY;
+  }
+
+  // Charts
+  const points = trendPoints(pl.dailyTrend, fromDate, toDate);
+  if (points.some(p => p.revenue || p.profit)) {
+    y = roomFor(doc, y + 10, 62);
+    chartTitle(doc, points[0].key.length === 7 ? 'Monthly Sales' : 'Daily Sales', 15, y);
+    drawTrendChart(doc, points, 15, y + 4, pageW - 30, 50);
+    y += 54;
+  }
+  const catMix = mixSegments(pl.categoryBreakdown, 'name', 'revenue');
+  const payMix = mixSegments(pl.paymentMethods, 'method', 'amount');
+  if (catMix.length || payMix.length) {
+    y = roomFor(doc, y + 10, 50);
+    const half = (pageW - 40) / 2;
+    let used = 0;
+    if (catMix.length) {
+      chartTitle(doc, 'Sales Mix by Category', 15, y);
+      used = drawMixChart(doc, catMix, 15, y + 4, half, fmt);
+    }
+    if (payMix.length) {
+      chartTitle(doc, 'Money In by Payment Method', 25 + half, y);
+      used = Math.max(used, drawMixChart(doc, payMix, 25 + half, y + 4, half, fmt));
+    }
+    y += 4 + used;
+  }
+
   // Category breakdown
-  const cats = {};
-  sales.forEach(s => {
-    const c = s.category || 'Uncategorised';
-    if (!cats[c]) cats[c] = { rev: 0, qty: 0 };
-    cats[c].rev += (s.total || 0);
-    cats[c].qty += (s.qty || 0);
-  });
-  const catRows = Object.entries(cats).sort((a, b) => b[1].rev - a[1].rev)
-    .map(([c, d]) => [c, d.qty, fmt(d.rev)]);
+  const catRows = pl.categoryBreakdown.map(c => [c.name, c.qty, fmt(c.revenue)]);
 
   if (catRows.length > 0) {
-    let yAfter = doc.lastAutoTable.finalY + 10;
+    let yAfter = roomFor(doc, y + 10, 30);
     doc.setFontSize(11);
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(27, 58, 75);
@@ -292,18 +453,14 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
         2: { halign: 'right' }
       }
     });
+    y = doc.lastAutoTable.finalY;
   }
 
   // Expense breakdown
-  const expCats = {};
-  expenses.forEach(e => {
-    expCats[e.category] = (expCats[e.category] || 0) + (e.amount || 0);
-  });
-  const expRows = Object.entries(expCats).sort((a, b) => b[1] - a[1])
-    .map(([c, v]) => [c, fmt(v)]);
+  const expRows = pl.expenseBreakdown.map(e => [e.category, fmt(e.amount)]);
 
   if (expRows.length > 0) {
-    let yAfter2 = doc.lastAutoTable.finalY + 10;
+    let yAfter2 = roomFor(doc, y + 10, 30);
     doc.setFontSize(11);
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(27, 58, 75);
@@ -352,3 +509,309 @@ export async function generatePLReport(reportData, settings, fromDate, toDate) {
     doc.save(fileName);
   }
 }
+
+/**
+ * Stocktake variance / shrinkage report: counted, expected, variance and
+ * value for every product in the session, shrinkage first.
+ * @param {Object} session - From getStocktake, with lines and summary
+ * @param {Object} settings - Business settings
+ */
+export async function generateStocktakeReport(session, settings) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+  const currency = settings.currency || 'UGX';
+  const fmt = (n) => `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
+  const qty = (n) => String(Math.round((Number(n) || 0) * 1000) / 1000);
+  const pageW = doc.internal.pageSize.getWidth();
+  const { summary } = session;
+
+  // Header
+  doc.setFillColor(27, 58, 75);
+  doc.rect(0, 0, pageW, 40, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text(settings.bizName || 'My Business', 15, 15);
+  doc.setFontSize(12);
+  doc.text(`Stocktake Variance Report — ${session.stNo}`, 15, 24);
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`${session.category || 'All products'} · Started ${new Date(session.date).toLocaleDateString()} · ` +
+    (session.status === 'POSTED' ? `Posted ${new Date(session.postedAt).toLocaleDateString()}` : session.status), 15, 32);
+  doc.text(`Generated: ${new Date().toLocaleString()}`, pageW - 15, 32, { align: 'right' });
+
+  autoTable(doc, {
+    startY: 48,
+    margin: { left: 15, right: 15 },
+    head: [['Summary', '']],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255], fontStyle: 'bold' },
+    body: [
+      ['Products counted', `${summary.counted} of ${summary.products}`],
+      ['Expected stock value', fmt(summary.expectedValue)],
+      ['Counted stock value', fmt(summary.countedValue)],
+      ['Shrinkage (stock missing)', `(${fmt(-summary.shrinkageValue)})`],
+      ['Surplus (stock found)', fmt(summary.surplusValue)],
+      [{ content: 'Net Variance', styles: { fontStyle: 'bold' } },
+       { content: fmt(summary.varianceValue), styles: { fontStyle: 'bold', textColor: summary.varianceValue < 0 ? [193, 68, 14] : [45, 106, 79] } }],
+    ],
+    columnStyles: { 1: { cellWidth: 55, halign: 'right' } }
+  });
+
+  const rows = [...session.lines].sort((a, b) => a.varianceValue - b.varianceValue || a.product.localeCompare(b.product));
+  const yAfter = doc.lastAutoTable.finalY + 10;
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(27, 58, 75);
+  doc.text('Variance by Product', 15, yAfter);
+
+  autoTable(doc, {
+    startY: yAfter + 4,
+    margin: { left: 15, right: 15 },
+    head: [['Product', 'Unit', 'Expected', 'Counted', 'Variance', 'Unit Cost', 'Value']],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255] },
+    styles: { fontSize: 8 },
+    body: rows.map(l => [
+      l.product,
+      l.baseUnit || '',
+      qty(l.expectedQty),
+      l.counted ? qty(l.countedQty) : 'not counted',
+      l.counted ? (l.varianceQty > 0 ? '+' : '') + qty(l.varianceQty) : '—',
+      fmt(l.unitCost),
+      { content: l.counted ? fmt(l.varianceValue) : '—',
+        styles: { textColor: l.varianceValue < 0 ? [193, 68, 14] : l.varianceValue > 0 ? [45, 106, 79] : [60, 60, 60] } }
+    ]),
+    columnStyles: {
+      2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' },
+      5: { halign: 'right' }, 6: { halign: 'right' }
+    }
+  });
+
+  // Footer
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(`Page ${i} of ${pageCount}`, pageW / 2, doc.internal.pageSize.getHeight() - 8, { align: 'center' });
+    doc.text('BizTrack Pro', 15, doc.internal.pageSize.getHeight() - 8);
+  }
+
+  const fileName = `stocktake_${session.stNo}.pdf`;
+  const pdfBase64 = doc.output('datauristring').split(',')[1];
+
+  if (Capacitor.isNativePlatform()) {
+    try {
+      const result = await Filesystem.writeFile({
+        path: fileName,
+        data: pdfBase64,
+        directory: Directory.Documents,
+      });
+      await Share.share({
+        title: `Stocktake ${session.stNo} — ${settings.bizName}`,
+        text: `Stocktake variance report ${session.stNo}: net ${fmt(summary.varianceValue)}`,
+        url: result.uri,
+        dialogTitle: 'Share Stocktake Report'
+      });
+    } catch (err) {
+      doc.save(fileName);
+    }
+  } else {
+    doc.save(fileName);
+  }
+}
+
+/**
+ * Account statement for one customer (see getCustomerStatement).
+ * @param {Object} st - { customer, from, to, opening, entries, debits, credits, closing }
+ * @param {Object} settings
+ */
+export async function generateCustomerStatement(st, settings) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+  const currency = settings.currency || 'UGX';
+  const fmt = (n) => `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
+  const day = (d) => new Date(d).toLocaleDateString();
+  const pageW = doc.internal.pageSize.getWidth();
+  const c = st.customer;
+  const period = st.from || st.to
+    ? `${st.from ? day(st.from) : 'First sale'} – ${st.to ? day(st.to) : day(Date.now())}`
+    : 'All transactions';
+
+  // Header
+  doc.setFillColor(27, 58, 75);
+  doc.rect(0, 0, pageW, 40, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text(settings.bizName || 'My Business', 15, 15);
+  doc.setFontSize(12);
+  doc.text('Statement of Account', 15, 24);
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text(period, 15, 32);
+  doc.text(`Generated: ${new Date().toLocaleString()}`, pageW - 15, 32, { align: 'right' });
+
+  const to = [c.name, c.phone, c.email, c.address].filter(Boolean);
+  autoTable(doc, {
+    startY: 48,
+    margin: { left: 15, right: 15 },
+    head: [['Customer', 'Summary', '']],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255], fontStyle: 'bold' },
+    body: [
+      [{ content: to.join('\n'), rowSpan: 4 }, 'Opening balance', fmt(st.opening)],
+      ['Invoiced and refunded', fmt(st.debits)],
+      ['Paid and returned', `(${fmt(st.credits)})`],
+      [{ content: 'Closing balance', styles: { fontStyle: 'bold' } },
+       { content: fmt(st.closing), styles: { fontStyle: 'bold', textColor: st.closing > 0 ? [193, 68, 14] : [45, 106, 79] } }]
+    ],
+    columnStyles: { 2: { cellWidth: 45, halign: 'right' } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 8,
+    margin: { left: 15, right: 15 },
+    head: [['Date', 'Details', 'Debit', 'Credit', 'Balance']],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255] },
+    styles: { fontSize: 8 },
+    body: [
+      [st.from ? day(st.from) : '', { content: 'Opening balance', styles: { fontStyle: 'bold' } }, '', '', fmt(st.opening)],
+      ...st.entries.map(e => [
+        day(e.date),
+        e.detail ? `${e.desc}\n${e.detail}` : e.desc,
+        e.debit ? fmt(e.debit) : '',
+        e.credit ? fmt(e.credit) : '',
+        fmt(e.balance)
+      ]),
+      [st.to ? day(st.to) : '', { content: 'Closing balance', styles: { fontStyle: 'bold' } }, '', '',
+       { content: fmt(st.closing), styles: { fontStyle: 'bold' } }]
+    ],
+    columnStyles: {
+      0: { cellWidth: 24 }, 2: { halign: 'right', cellWidth: 28 },
+      3: { halign: 'right', cellWidth: 28 }, 4: { halign: 'right', cellWidth: 30 }
+    }
+  });
+
+  // Footer
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(`Page ${i} of ${pageCount}`, pageW / 2, doc.internal.pageSize.getHeight() - 8, { align: 'center' });
+    doc.text(settings.invoiceFooter || 'BizTrack Pro', 15, doc.internal.pageSize.getHeight() - 8);
+  }
+
+  const fileName = `statement_${c.name.replace(/[^\w]+/g, '_')}_${(st.to || new Date().toISOString()).slice(0, 10)}.pdf`;
+  const pdfBase64 = doc.output('datauristring').split(',')[1];
+
+  if (Capacitor.isNativePlatform()) {
+    try {
+      const result = await Filesystem.writeFile({
+        path: fileName,
+        data: pdfBase64,
+        directory: Directory.Documents,
+      });
+      await Share.share({
+        title: `Statement — ${c.name}`,
+        text: `Statement of account from ${settings.bizName || 'us'}: balance ${fmt(st.closing)}`,
+        url: result.uri,
+        dialogTitle: 'Share Statement'
+      });
+    } catch (err) {
+      doc.save(fileName);
+    }
+  } else {
+    doc.save(fileName);
+  }
+}
+
+/**
+ * Debtor aging report: what each customer owes, by days past due.
+ * @param {Object} aging - From computeAging
+ * @param {Array} buckets - AGING_BUCKETS
+ * @param {Object} settings
+ */
+export async function generateAgingReport(aging, buckets, settings) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+  const currency = settings.currency || 'UGX';
+  const fmt = (n) => `${currency} ${Math.round(Number(n) || 0).toLocaleString()}`;
+  const num = (n) => (n ? Math.round(n).toLocaleString() : '—');
+  const pageW = doc.internal.pageSize.getWidth();
+  const t = aging.totals;
+
+  // Header
+  doc.setFillColor(27, 58, 75);
+  doc.rect(0, 0, pageW, 34, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text(settings.bizName || 'My Business', 15, 14);
+  doc.setFontSize(12);
+  doc.text(`Debtor Aging — as at ${new Date(aging.asOf).toLocaleDateString()}`, 15, 23);
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`${aging.rows.length} customer${aging.rows.length !== 1 ? 's' : ''} owing · amounts in ${currency}`, 15, 29);
+  doc.text(`Generated: ${new Date().toLocaleString()}`, pageW - 15, 29, { align: 'right' });
+
+  autoTable(doc, {
+    startY: 42,
+    margin: { left: 15, right: 15 },
+    head: [['Total owed', 'Past due', ...buckets.map(b => b.label)]],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255], fontStyle: 'bold', halign: 'right' },
+    body: [[fmt(t.total), fmt(t.overdue), ...buckets.map(b => fmt(t[b.key]))]],
+    styles: { halign: 'right', fontStyle: 'bold' }
+  });
+
+  const red = [193, 68, 14];
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 8,
+    margin: { left: 15, right: 15 },
+    head: [['Customer', 'Phone', 'Oldest invoice', ...buckets.map(b => b.label), 'Total']],
+    headStyles: { fillColor: [27, 58, 75], textColor: [255, 255, 255] },
+    styles: { fontSize: 8 },
+    body: [
+      ...aging.rows.map(r => [
+        r.name,
+        r.phone || '',
+        r.oldest ? `${r.oldest.invoiceNo}${r.oldest.daysOverdue > 0 ? ` · ${r.oldest.daysOverdue}d late` : ''}` : '',
+        ...buckets.map((b, i) => ({ content: num(r[b.key]), styles: i > 0 && r[b.key] ? { textColor: red } : {} })),
+        { content: num(r.total), styles: { fontStyle: 'bold' } }
+      ]),
+      [{ content: 'Total', colSpan: 3, styles: { fontStyle: 'bold' } },
+       ...buckets.map(b => ({ content: num(t[b.key]), styles: { fontStyle: 'bold' } })),
+       { content: num(t.total), styles: { fontStyle: 'bold' } }]
+    ],
+    columnStyles: Object.fromEntries([3, 4, 5, 6, 7, 8].map(i => [i, { halign: 'right' }]))
+  });
+
+  // Footer
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(`Page ${i} of ${pageCount}`, pageW / 2, doc.internal.pageSize.getHeight() - 8, { align: 'center' });
+    doc.text('BizTrack Pro', 15, doc.internal.pageSize.getHeight() - 8);
+  }
+
+  const fileName = `debtor_aging_${aging.asOf}.pdf`;
+  const pdfBase64 = doc.output('datauristring').split(',')[1];
+
+  if (Capacitor.isNativePlatform()) {
+    try {
+      const result = await Filesystem.writeFile({
+        path: fileName,
+        data: pdfBase64,
+        directory: Directory.Documents,
+      });
+      await Share.share({
+        title: `Debtor Aging — ${settings.bizName}`,
+        text: `Debtor aging as at ${aging.asOf}: ${fmt(t.total)} owed, ${fmt(t.overdue)} past due`,
+        url: result.uri,
+        dialogTitle: 'Share Aging Report'
+      });
+    } catch (err) {
+      doc.save(fileName);
+    }
+  } else {
+    doc.save(fileName);
+  }
+}
@@ -2,23 +2,158 @@
 // BizTrack Pro - Profit & Loss Engine
 // Central calculation engine used by reports, dashboard KPIs, and exports
 
+import { computeReorderSuggestions } from './reorderEngine.js';
+import { receiptInBase, rowInBase, payableInBase, paymentInBase, returnInBase } from './currencyEngine.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Payables category used for supplier deliveries
+export const STOCK_PURCHASE = 'Stock Purchase';
+
 /**
- * Compute full P&L metrics from raw data arrays
- * @param {Array} sales
+ * Work out a receipt's money totals from its lines and the business tax setting.
+ * With taxInclusive the shelf prices already contain tax, so the total is the
+ * sum of the lines and the tax portion is backed out of it; otherwise tax is
+ * added on top. The cart preview, saved receipts and the PDF all use this.
+ * @param {Array} lines - [{qty, unitPrice, lineTotal}] (lineTotal after line discount)
+ * @param {Object} settings - { taxRate, taxInclusive }
+ * @returns {Object} { subtotal, discount, net, taxRate, taxInclusive, tax, total }
+ */
+export function computeReceiptTotals(lines = [], settings = {}) {
+  const subtotal = round2(lines.reduce((s, l) => s + (l.qty || 0) * (l.unitPrice || 0), 0));
+  const net = round2(lines.reduce((s, l) => s + (l.lineTotal != null ? l.lineTotal : (l.total || 0)), 0));
+  const taxRate = Number(settings.taxRate) || 0;
+  const taxInclusive = !!Number(settings.taxInclusive);
+  const tax = taxRate <= 0 ? 0
+    : taxInclusive ? round2(net - net / (1 + taxRate / 100))
+    : round2(net * taxRate / 100);
+  return {
+    subtotal,
+    discount: Math.max(0, round2(subtotal - net)),
+    net,
+    taxRate,
+    taxInclusive,
+    tax,
+    total: taxInclusive ? net : round2(net + tax)
+  };
+}
+
+// Receipts carry their products in r.lines; a flat row (old backups) is its own line
+const linesOf = (r) => r.lines || [r];
+const receiptCost = (r) => linesOf(r).reduce((s, l) => s + (l.qty || 0) * (l.costPrice || 0), 0);
+// Revenue excludes tax in both modes: each receipt stores the tax worked out
+// by computeReceiptTotals when it was sold
+const receiptRevenue = (r) => (r.total || 0) - (r.tax || 0);
+// A return gives back its revenue (less the tax it carried) and puts the
+// goods' cost back into stock
+const returnRevenue = (x) => (x.refund || 0) - (x.tax || 0);
+const returnCost = (x) => (x.qty || 0) * (x.costPrice || 0);
+
+export const PL_BASES = ['ACCRUAL', 'CASH'];
+const basisOf = (opts, settings) => {
+  const b = String(opts.basis || settings.plBasis || 'ACCRUAL').toUpperCase();
+  return PL_BASES.includes(b) ? b : 'ACCRUAL';
+};
+
+// Cash basis splits each receipt payment (or refund) into revenue, tax and
+// cost of goods in proportion to the receipt it was paid against. The receipt
+// comes from the list passed in, or from the receiptTotal/receiptTax/
+// receiptCost columns getPayments() joins on.
+function splitPayment(p, receipt) {
+  const total = receipt ? receipt.total : p.receiptTotal;
+  if (!(total > 0)) return { revenue: p.amount || 0, tax: 0, cost: 0 };
+  const share = (p.amount || 0) / total;
+  const tax = share * ((receipt ? receipt.tax : p.receiptTax) || 0);
+  const cost = share * ((receipt ? receiptCost(receipt) : p.receiptCost) || 0);
+  return { revenue: (p.amount || 0) - tax, tax, cost };
+}
+
+/**
+ * Compute full P&L metrics from raw data arrays.
+ *
+ * basis 'ACCRUAL' (default): revenue is what was invoiced, less returns;
+ * bills in the payables ledger count as expenses on the date they were
+ * incurred, whether paid or not.
+ * basis 'CASH': revenue is what customers actually paid in the period (less
+ * refunds), with tax and cost of goods taken in proportion; bills count
+ * when they are paid.
+ * Recorded expenses are treated as paid on their date under both bases.
+ * @param {Array} sales - Receipts, each with a lines array
  * @param {Array} expenses
- * @param {Array} returns
- * @param {Object} settings
+ * @param {Array} returns - Returns dated in the period
+ * @param {Object} settings - settings.plBasis is the default basis
+ * @param {Object} [opts] - { basis, payments, receipts, payables, payablePayments, fromDate, toDate, valuation }
+ *   Payments are counted by their own date, so an old invoice settled in the
+ *   period counts as cash in the period. payments defaults to the receipts'
+ *   own payments and payablePayments to the payables' own payments. receipts
+ *   is every receipt those payments may belong to, when wider than sales.
+ *   valuation is { opening, closing } from getInventoryValuation, for the
+ *   stock on hand either side of the period.
+ * Rows in another currency are converted at the rate on each row (fxRate),
+ * so every figure comes out in the base currency.
  * @returns {Object} Full P&L metrics
  */
-export function computePL(sales = [], expenses = [], returns = [], settings = {}) {
+export function computePL(sales = [], expenses = [], returns = [], settings = {}, opts = {}) {
   const now = new Date();
+  const convertedCurrencies = [...new Set([...sales, ...expenses, ...(opts.payables || [])]
+    .filter(x => x.fxRate > 0 && x.fxRate !== 1).map(x => x.currency))];
+  sales = sales.map(receiptInBase);
+  expenses = expenses.map(e => rowInBase(e));
+  returns = returns.map(returnInBase);
+  opts = {
+    ...opts,
+    receipts: opts.receipts && opts.receipts.map(receiptInBase),
+    payments: opts.payments && opts.payments.map(paymentInBase),
+    payables: opts.payables && opts.payables.map(payableInBase),
+    payablePayments: opts.payablePayments && opts.payablePayments.map(p => rowInBase(p))
+  };
+  const lines = sales.flatMap(linesOf);
+  const basis = basisOf(opts, settings);
+  const payables = opts.payables || [];
+
+  // Cash in and out within the period
+  const inRange = (d) => (!opts.fromDate || d >= opts.fromDate) && (!opts.toDate || d.slice(0, 10) <= opts.toDate);
+  const payments = (opts.payments || sales.flatMap(s => s.payments || []))
+    .filter(p => inRange(p.date || ''));
+  const billPayments = (opts.payablePayments || payables.flatMap(p => p.payments || []))
+    .filter(p => inRange(p.date || ''));
+  const cashReceived = payments.filter(p => p.amount > 0).reduce((s, p) => s + p.amount, 0);
+  const cashRefunded = payments.filter(p => p.amount < 0).reduce((s, p) => s - p.amount, 0);
+  const cashCollected = cashReceived - cashRefunded;
 
-  // Revenue metrics
-  const revenue    = sales.reduce((s, r) => s + (r.total || 0), 0);
+  const byId = new Map((opts.receipts || sales).map(r => [r.id, r]));
+  const cashSplit = payments.map(p => splitPayment(p, byId.get(p.receiptId)));
+  const sumSplit = (rows, k) => rows.reduce((s, x) => s + x[k], 0);
+
+  // Revenue metrics (tax collected is not revenue)
+  let grossRevenue, returnsValue, returnsCost, cogs, taxCollected;
+  if (basis === 'CASH') {
+    const received = cashSplit.filter(x => x.revenue > 0);
+    const refunded = cashSplit.filter(x => x.revenue < 0);
+    grossRevenue = sumSplit(received, 'revenue');
+    returnsValue = -sumSplit(refunded, 'revenue');
+    returnsCost  = -sumSplit(refunded, 'cost');
+    cogs         = sumSplit(cashSplit, 'cost');
+    taxCollected = sumSplit(cashSplit, 'tax');
+  } else {
+    grossRevenue = sales.reduce((s, r) => s + receiptRevenue(r), 0);
+    returnsValue = returns.reduce((s, x) => s + returnRevenue(x), 0);
+    returnsCost  = returns.reduce((s, x) => s + returnCost(x), 0);
+    cogs         = sales.reduce((s, r) => s + receiptCost(r), 0) - returnsCost;
+    taxCollected = sales.reduce((s, r) => s + (r.tax || 0), 0) - returns.reduce((s, x) => s + (x.tax || 0), 0);
+  }
+  const revenue    = grossRevenue - returnsValue;
   const collected  = sales.reduce((s, r) => s + (r.paid || 0), 0);
-  const cogs       = sales.reduce((s, r) => s + ((r.qty || 0) * (r.costPrice || 0)), 0);
   const grossP     = revenue - cogs;
-  const totalExp   = expenses.reduce((s, r) => s + (r.amount || 0), 0);
+
+  // Bills: incurred (accrual) or paid (cash). Stock bought from suppliers is
+  // left out: it reaches the P&L as cost of goods when sold.
+  const bills = (basis === 'CASH'
+    ? billPayments.map(p => ({ category: p.category || (payables.find(x => x.id === p.payableId) || {}).category, amount: p.amount || 0 }))
+    : payables.map(p => ({ category: p.category, amount: p.amount || 0 })))
+    .filter(b => b.category !== STOCK_PURCHASE);
+  const billsTotal = bills.reduce((s, b) => s + b.amount, 0);
+  const totalExp   = expenses.reduce((s, r) => s + (r.amount || 0), 0) + billsTotal;
   const netP       = grossP - totalExp;
   const refunds    = returns.reduce((s, r) => s + (r.refund || 0), 0);
   const outstanding = sales.reduce((s, r) => s + (r.balance || 0), 0);
@@ -39,18 +174,36 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
   const upcomingDebt = sales.filter(s => !isOverdue(s) && s.status !== 'PAID' && (s.balance || 0) > 0)
                            .reduce((s, r) => s + (r.balance || 0), 0);
 
-  // Category breakdown
+  // Category breakdown: each line's revenue less its share of the receipt's
+  // tax, less returns, as computeProductProfitability works it out, so on the
+  // accrual basis the categories add up to revenue and cost of goods. On the
+  // cash basis they still split what was invoiced.
   const categoryBreakdown = {};
-  sales.forEach(s => {
-    const c = s.category || 'Uncategorised';
-    if (!categoryBreakdown[c]) categoryBreakdown[c] = { revenue: 0, cogs: 0, profit: 0, qty: 0, count: 0 };
-    const rev = s.total || 0;
-    const cost = (s.qty || 0) * (s.costPrice || 0);
-    categoryBreakdown[c].revenue += rev;
-    categoryBreakdown[c].cogs    += cost;
-    categoryBreakdown[c].profit  += rev - cost;
-    categoryBreakdown[c].qty     += s.qty || 0;
-    categoryBreakdown[c].count   += 1;
+  const category = (c) => categoryBreakdown[c] || (categoryBreakdown[c] = { revenue: 0, cogs: 0, profit: 0, qty: 0, count: 0 });
+  sales.forEach(r => {
+    const rLines = linesOf(r);
+    const gross = rLines.reduce((s, l) => s + (l.total || 0), 0);
+    const exTax = gross > 0 ? receiptRevenue(r) / gross : 1;
+    rLines.forEach(l => {
+      const c = category(l.category || 'Uncategorised');
+      const rev = (l.total || 0) * exTax;
+      const cost = (l.qty || 0) * (l.costPrice || 0);
+      c.revenue += rev;
+      c.cogs    += cost;
+      c.profit  += rev - cost;
+      c.qty     += l.qty || 0;
+      c.count   += 1;
+    });
+  });
+  // A return joins the category of the line it came back from
+  returns.forEach(x => {
+    const line = lines.find(l => x.lineId && l.id === x.lineId)
+      || lines.find(l => x.inventoryId && l.inventoryId === x.inventoryId)
+      || lines.find(l => l.product === x.product) || {};
+    const c = category(line.category || 'Uncategorised');
+    c.revenue -= returnRevenue(x);
+    c.cogs    -= returnCost(x);
+    c.profit  -= returnRevenue(x) - returnCost(x);
   });
   const categorySorted = Object.entries(categoryBreakdown)
     .sort((a, b) => b[1].revenue - a[1].revenue)
@@ -58,21 +211,22 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
 
   // Payment methods
   const paymentMethods = {};
-  sales.forEach(s => {
-    const m = s.method || 'Cash';
-    paymentMethods[m] = (paymentMethods[m] || 0) + (s.paid || 0);
+  payments.forEach(p => {
+    const m = p.method || 'Cash';
+    paymentMethods[m] = (paymentMethods[m] || 0) + (p.amount || 0);
   });
   const paymentMethodsSorted = Object.entries(paymentMethods)
     .sort((a, b) => b[1] - a[1])
     .map(([method, amount]) => ({
       method, amount,
-      pct: collected > 0 ? ((amount / collected) * 100).toFixed(1) : '0.0'
+      pct: cashCollected > 0 ? ((amount / cashCollected) * 100).toFixed(1) : '0.0'
     }));
 
   // Expense categories
   const expenseByCategory = {};
-  expenses.forEach(e => {
-    expenseByCategory[e.category] = (expenseByCategory[e.category] || 0) + (e.amount || 0);
+  [...expenses, ...bills].forEach(e => {
+    const c = e.category || 'Other';
+    expenseByCategory[c] = (expenseByCategory[c] || 0) + (e.amount || 0);
   });
   const expenseSorted = Object.entries(expenseByCategory)
     .sort((a, b) => b[1] - a[1])
@@ -86,7 +240,7 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
   sales.forEach(s => {
     const c = s.customer || 'Walk-in';
     if (!customerRevenue[c]) customerRevenue[c] = { revenue: 0, paid: 0, balance: 0, count: 0 };
-    customerRevenue[c].revenue  += s.total || 0;
+    customerRevenue[c].revenue  += receiptRevenue(s);
     customerRevenue[c].paid     += s.paid || 0;
     customerRevenue[c].balance  += s.balance || 0;
     customerRevenue[c].count    += 1;
@@ -102,8 +256,8 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
     const day = (s.date || '').slice(0, 10);
     if (day) {
       if (!dailyTrend[day]) dailyTrend[day] = { revenue: 0, profit: 0 };
-      dailyTrend[day].revenue += s.total || 0;
-      dailyTrend[day].profit  += (s.total || 0) - ((s.qty || 0) * (s.costPrice || 0));
+      dailyTrend[day].revenue += receiptRevenue(s);
+      dailyTrend[day].profit  += receiptRevenue(s) - receiptCost(s);
     }
   });
   const trendSorted = Object.entries(dailyTrend)
@@ -115,25 +269,43 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
   sales.forEach(s => { statusCounts[s.status] = (statusCounts[s.status] || 0) + 1; });
 
   return {
+    basis,
+    convertedCurrencies,
+
     // Core metrics
+    grossRevenue,
+    returnsValue,
+    returnsCost,
     revenue,
     collected,
+    cashCollected,
+    cashReceived,
+    cashRefunded,
     outstanding,
     cogs,
     grossProfit: grossP,
     grossMargin: gm,
     totalExpenses: totalExp,
+    billsExpensed: billsTotal,
     netProfit: netP,
     netMargin: nm,
     collectionRate: cr,
     refunds,
+    taxCollected,
     overdueDebt,
     upcomingDebt,
 
+    // Stock on hand either side of the period, when a valuation was given
+    costingMethod: opts.valuation ? (opts.valuation.closing || opts.valuation.opening || {}).method : null,
+    openingStock: opts.valuation && opts.valuation.opening ? opts.valuation.opening.totalValue : null,
+    closingStock: opts.valuation && opts.valuation.closing ? opts.valuation.closing.totalValue : null,
+
     // Counts
     salesCount: sales.length,
     uniqueCustomers: [...new Set(sales.map(s => s.customer))].length,
-    unitsSold: sales.reduce((s, r) => s + (r.qty || 0), 0),
+    unitsSold: lines.reduce((s, l) => s + (l.qty || 0), 0),
+    unitsReturned: returns.reduce((s, x) => s + (x.qty || 0), 0),
+    returnsCount: returns.length,
     statusCounts,
 
     // Breakdowns
@@ -149,15 +321,190 @@ export function computePL(sales = [], expenses = [], returns = [], settings = {}
 }
 
 /**
- * Compute KPIs for the dashboard
+ * Profit per product over a set of receipts and returns. Costs are the ones
+ * frozen on each line when it was sold, and revenue leaves out tax the same
+ * way computePL does (each line takes its share of the receipt's tax), so
+ * the products add up to the P&L's revenue and cost of goods.
+ * A line sells below cost when its price after discount and tax is under its
+ * cost per unit.
+ * @param {Array} receipts - With lines
+ * @param {Array} [returns] - returns_log rows dated in the same period
+ * @param {Object} [opts] - { inventory, category, valuation: { opening, closing } }
+ *   category keeps one category only. Stock turnover is cost of goods over
+ *   the average of the opening and closing stock value (either one alone
+ *   when only one is given); null without a valuation or with no stock.
+ * @returns {Array} [{ key, productId, product, category, unitsSold, unitsReturned,
+ *   grossRevenue, discounts, returnsValue, revenue, cogs, grossProfit, margin,
+ *   belowCostLines, belowCost, avgStock, turnover }] most gross profit first
  */
-export function computeDashboardKPIs(sales = [], expenses = [], inventory = []) {
+export function computeProductProfitability(receipts = [], returns = [], opts = {}) {
+  const products = new Map((opts.inventory || []).map(p => [p.id, p]));
+  const stockOf = (v) => new Map(((v && v.rows) || []).map(r => [r.productId, r.value]));
+  const opening = stockOf(opts.valuation && opts.valuation.opening);
+  const closing = stockOf(opts.valuation && opts.valuation.closing);
+  const valued = [opts.valuation && opts.valuation.opening, opts.valuation && opts.valuation.closing].filter(Boolean).length;
+  const by = new Map();
+  const byName = new Map();
+  // Older returns carry only the product name; they join the product sold under it
+  const rowFor = (inventoryId, name, category) => {
+    const key = inventoryId || byName.get(name) || `name:${name}`;
+    if (!by.has(key)) {
+      if (!byName.has(name)) byName.set(name, key);
+      const p = products.get(inventoryId) || {};
+      by.set(key, {
+        key, productId: inventoryId || null, product: p.name || name || 'Unknown',
+        category: p.category || category || 'Uncategorised',
+        unitsSold: 0, unitsReturned: 0, grossRevenue: 0, discounts: 0, returnsValue: 0,
+        cogs: 0, belowCostLines: 0
+      });
+    }
+    return by.get(key);
+  };
+
+  for (const r of receipts.map(receiptInBase)) {
+    const lines = linesOf(r);
+    const gross = lines.reduce((s, l) => s + (l.total || 0), 0);
+    // Share of each line's money that is revenue, once the receipt's tax is out
+    const exTax = gross > 0 ? receiptRevenue(r) / gross : 1;
+    for (const l of lines) {
+      const row = rowFor(l.inventoryId, l.product, l.category);
+      const qty = l.qty || 0;
+      const revenue = (l.total || 0) * exTax;
+      row.unitsSold += qty;
+      row.grossRevenue += revenue;
+      row.discounts += Math.max(0, qty * (l.unitPrice || 0) - (l.total || 0)) * exTax;
+      row.cogs += qty * (l.costPrice || 0);
+      if (qty > 0 && revenue / qty < (l.costPrice || 0) - 0.005) row.belowCostLines++;
+    }
+  }
+  for (const x of returns.map(returnInBase)) {
+    const row = rowFor(x.inventoryId, x.product, null);
+    row.unitsReturned += x.qty || 0;
+    row.returnsValue += returnRevenue(x);
+    row.cogs -= returnCost(x);
+  }
+
+  return [...by.values()]
+    .filter(row => !opts.category || row.category === opts.category)
+    .map(row => {
+      const revenue = round2(row.grossRevenue - row.returnsValue);
+      const cogs = round2(row.cogs);
+      const grossProfit = round2(revenue - cogs);
+      const avgStock = valued && row.productId
+        ? round2(((opening.get(row.productId) || 0) + (closing.get(row.productId) || 0)) / valued)
+        : null;
+      return {
+        ...row,
+        grossRevenue: round2(row.grossRevenue),
+        discounts: round2(row.discounts),
+        returnsValue: round2(row.returnsValue),
+        revenue, cogs, grossProfit,
+        margin: revenue > 0 ? round2((grossProfit / revenue) * 100) : null,
+        belowCost: row.belowCostLines > 0 || grossProfit < -0.005,
+        avgStock,
+        turnover: avgStock > 0 ? round2(cogs / avgStock) : null
+      };
+    })
+    .sort((a, b) => b.grossProfit - a.grossProfit);
+}
+
+const DAY = 86400000;
+const daysIn = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+// Move a YYYY-MM-DD date by whole months. A month end stays a month end, so
+// 1–31 Jan moves back to 1–31 Dec and 1–29 Feb 2024 forward to 1–28 Feb 2025.
+function shiftMonths(date, n) {
+  const [y, m, d] = date.split('-').map(Number);
+  const t = new Date(Date.UTC(y, m - 1 + n, 1));
+  const last = daysIn(t.getUTCFullYear(), t.getUTCMonth() + 1);
+  const day = d === daysIn(y, m) ? last : Math.min(d, last);
+  return `${t.getUTCFullYear()}-${String(t.getUTCMonth() + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+const shiftDays = (date, n) => new Date(Date.parse(date) + n * DAY).toISOString().slice(0, 10);
+
+/**
+ * The periods a report range is compared with: the one before it and the
+ * same dates a year earlier. A range inside one calendar month starting on
+ * the 1st (this month, or this month so far) is compared with the same days
+ * of last month; any other range with the same number of days just before it.
+ * A range that starts on 1 January and stays in that year is compared with
+ * last year only, which is the period before it anyway.
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Array} [{ key: 'PREV'|'YEAR', label, from, to }]
+ */
+export function comparisonPeriods(fromDate, toDate) {
+  const from = String(fromDate).slice(0, 10), to = String(toDate).slice(0, 10);
+  const lastYear = { key: 'YEAR', label: 'Same period last year', from: shiftMonths(from, -12), to: shiftMonths(to, -12) };
+  if (from.endsWith('-01-01') && to.slice(0, 4) === from.slice(0, 4) && to.slice(0, 7) !== from.slice(0, 7)) {
+    return [{ ...lastYear, label: 'Last year' }];
+  }
+  if (from.endsWith('-01') && to.slice(0, 7) === from.slice(0, 7)) {
+    return [{ key: 'PREV', label: 'Last month', from: shiftMonths(from, -1), to: shiftMonths(to, -1) }, lastYear];
+  }
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY) + 1;
+  return [
+    { key: 'PREV', label: days === 1 ? 'Day before' : `Previous ${days} days`, from: shiftDays(from, -days), to: shiftDays(from, -1) },
+    lastYear
+  ];
+}
+
+// What a comparison shows. Margin is compared in percentage points; for
+// expenses a fall is the good direction.
+export const COMPARE_METRICS = [
+  { key: 'revenue', label: 'Revenue' },
+  { key: 'grossMargin', label: 'Gross Margin', unit: 'pct' },
+  { key: 'totalExpenses', label: 'Expenses', lowerIsBetter: true },
+  { key: 'netProfit', label: 'Net Profit' }
+];
+
+/**
+ * Set one P&L against others, metric by metric.
+ * @param {Object} current - computePL result for the period being reported
+ * @param {Array} others - [{ label, pl }] the periods to compare with
+ * @returns {Array} One row per COMPARE_METRICS entry: { key, label, unit,
+ *   current, against: [{ label, value, delta, pct, trend, better }] } — pct is the
+ *   % change (null when the earlier value is 0, and for margin), trend is
+ *   'up', 'down' or 'flat' and better tells whether the change is good news
+ */
+export function comparePL(current, others = []) {
+  return COMPARE_METRICS.map(m => {
+    const unit = m.unit || 'money';
+    const now = Number(current[m.key]) || 0;
+    return {
+      key: m.key, label: m.label, unit, current: now,
+      against: others.map(o => {
+        const value = Number(o.pl[m.key]) || 0;
+        const delta = round2(now - value);
+        const trend = Math.abs(delta) < 0.005 ? 'flat' : delta > 0 ? 'up' : 'down';
+        return {
+          label: o.label, value, delta, trend,
+          better: trend === 'flat' ? null : (trend === 'up') !== !!m.lowerIsBetter,
+          pct: unit === 'pct' || !value ? null : Math.round((delta / Math.abs(value)) * 1000) / 10
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Compute KPIs for the dashboard. Revenue and profit follow the same basis
+ * rules as computePL, for today and for all time. Low stock comes from the
+ * reorder engine, so it counts products about to run out at their current
+ * rate of sale as well as those under their alert level.
+ * @param {Object} [opts] - { basis, payables, suppliers, onOrder, lowStock }
+ */
+export function computeDashboardKPIs(sales = [], expenses = [], inventory = [], returns = [], opts = {}) {
+  sales = sales.map(receiptInBase);
   const today = new Date().toISOString().slice(0, 10);
-  const todaySales = sales.filter(s => (s.date || '').slice(0, 10) === today);
-  const todayRevenue = todaySales.reduce((s, r) => s + (r.total || 0), 0);
-  const todayProfit  = todaySales.reduce((s, r) => s + ((r.total || 0) - (r.qty || 0) * (r.costPrice || 0)), 0);
+  const onToday = (x) => (x.date || '').slice(0, 10) === today;
+  const payables = opts.payables || [];
+  const all = computePL(sales, expenses, returns, {}, { basis: opts.basis, payables });
+  // On the cash basis today's takings can come from older receipts, so every
+  // receipt is passed and the payments are narrowed to today instead
+  const day = all.basis === 'CASH'
+    ? computePL(sales, expenses.filter(onToday), [], {}, { basis: 'CASH', payables, fromDate: today, toDate: today })
+    : computePL(sales.filter(onToday), expenses.filter(onToday), returns.filter(onToday), {}, { basis: 'ACCRUAL', payables: payables.filter(onToday) });
 
-  const totalRevenue  = sales.reduce((s, r) => s + (r.total || 0), 0);
   const totalCollected = sales.reduce((s, r) => s + (r.paid || 0), 0);
   const totalBalance  = sales.reduce((s, r) => s + (r.balance || 0), 0);
 
@@ -168,27 +515,27 @@ export function computeDashboardKPIs(sales = [], expenses = [], inventory = [])
     return new Date(s.dueDate) < now && (s.balance || 0) > 0;
   }).length;
 
-  const lowStockCount = inventory.filter(p => (p.stock || 0) <= (p.reorderLevel || 5)).length;
+  const reorder = computeReorderSuggestions(inventory, sales, returns, {
+    suppliers: opts.suppliers, onOrder: opts.onOrder, lowStock: opts.lowStock
+  });
+  const lowStockCount = reorder.length;
   const outOfStockCount = inventory.filter(p => (p.stock || 0) === 0).length;
 
-  const totalExpenses = expenses.reduce((s, r) => s + (r.amount || 0), 0);
-  const cogs = sales.reduce((s, r) => s + ((r.qty || 0) * (r.costPrice || 0)), 0);
-  const grossProfit = totalRevenue - cogs;
-  const netProfit = grossProfit - totalExpenses;
-
   return {
-    todayRevenue,
-    todayProfit,
-    totalRevenue,
+    basis: all.basis,
+    todayRevenue: day.revenue,
+    todayProfit: day.grossProfit,
+    totalRevenue: all.revenue,
     totalCollected,
     totalBalance,
     overdueCount,
     lowStockCount,
     outOfStockCount,
-    totalExpenses,
-    grossProfit,
-    netProfit,
-    grossMargin: totalRevenue > 0 ? ((grossProfit / totalRevenue) * 100).toFixed(1) : '0.0',
-    netMargin: totalRevenue > 0 ? ((netProfit / totalRevenue) * 100).toFixed(1) : '0.0',
+    reorder,
+    totalExpenses: all.totalExpenses,
+    grossProfit: all.grossProfit,
+    netProfit: all.netProfit,
+    grossMargin: all.grossMargin,
+    netMargin: all.netMargin,
   };
 }
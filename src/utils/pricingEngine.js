@@ -0,0 +1,93 @@
+// src/utils/pricingEngine.js
+// BizTrack Pro - Pricing Engine
+// Prices cart lines from named price lists. A customer can be put on one list
+// (Wholesale, say); lists open to everyone act as promotions while they run.
+// Within a list a product can have quantity breaks — each price applies from
+// its minimum quantity up.
+
+export const PRICE_LIST_SCOPES = ['CUSTOMER', 'ALL'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Whether a list is switched on and its start/end dates cover the day.
+ * @param {Object} list - price_lists row
+ * @param {string|Date} [date] - Defaults to today
+ */
+export function isListRunning(list, date) {
+  if (!list || list.active === 0 || list.active === false) return false;
+  const day = (date ? new Date(date) : new Date()).toISOString().slice(0, 10);
+  if (list.startDate && day < list.startDate) return false;
+  if (list.endDate && day > list.endDate) return false;
+  return true;
+}
+
+// The list's entry for qty units of a product: the highest quantity break
+// reached. A variant with no entry of its own takes its parent product's.
+function listEntry(list, product, qty) {
+  for (const id of [product.id, product.parentId]) {
+    if (!id) continue;
+    let best = null;
+    for (const it of (list.items || [])) {
+      if (it.productId !== id || (it.minQty || 1) > qty + 1e-9) continue;
+      if (!best || (it.minQty || 1) > (best.minQty || 1)) best = it;
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+/**
+ * Price for qty units of a product. The customer's own list replaces the
+ * product's sell price; a running list open to everyone (a promotion) wins
+ * whenever it is cheaper still.
+ * @param {Object} product - inventory row
+ * @param {number} qty - Base units on the line
+ * @param {Array} lists - price_lists rows, each with an items array
+ * @param {Object} [opts] - { priceListId: the customer's list, date }
+ * @returns {Object} { price, listId, listName, minQty } — listId is null when
+ *   no list applies and the product's sellPrice stands
+ */
+export function quotePrice(product, qty, lists = [], opts = {}) {
+  let quote = { price: product.sellPrice || 0, listId: null, listName: null, minQty: null };
+  const running = lists.filter(l => isListRunning(l, opts.date));
+  const own = opts.priceListId && running.find(l => l.id === opts.priceListId);
+  if (own) {
+    const e = listEntry(own, product, qty);
+    if (e) quote = { price: e.price, listId: own.id, listName: own.name, minQty: e.minQty || 1 };
+  }
+  for (const l of running) {
+    if (l.scope !== 'ALL' || l.id === opts.priceListId) continue;
+    const e = listEntry(l, product, qty);
+    if (e && e.price < quote.price) quote = { price: e.price, listId: l.id, listName: l.name, minQty: e.minQty || 1 };
+  }
+  return quote;
+}
+
+/**
+ * Re-price stock lines of a cart from the lists. Lines a list does not touch
+ * keep the price they came with, as do lines marked manualPrice.
+ * @param {Array} cart - Lines with inventoryId, qty, unitPrice, discount
+ * @param {Map} products - inventoryId → inventory row
+ * @param {Array} lists - Price lists with items
+ * @param {Object} [opts] - { priceListId, date }
+ * @returns {Object} { lines, listNames } listNames: lists applied, in cart order
+ */
+export function priceCart(cart = [], products = new Map(), lists = [], opts = {}) {
+  const names = [];
+  const lines = cart.map(line => {
+    const p = line.inventoryId && products.get(line.inventoryId);
+    if (!p || line.manualPrice) return line;
+    const q = quotePrice(p, line.qty || 0, lists, opts);
+    if (!q.listId) return { ...line, priceListId: null, priceListName: null };
+    if (!names.includes(q.listName)) names.push(q.listName);
+    return {
+      ...line,
+      unitPrice: q.price,
+      lineTotal: round2((line.qty || 0) * q.price * (1 - (line.discount || 0) / 100)),
+      priceListId: q.listId,
+      priceListName: q.listName
+    };
+  });
+  return { lines, listNames: names };
+}
@@ -0,0 +1,143 @@
+// src/utils/reorderEngine.js
+// BizTrack Pro - Reorder Engine
+// Sales velocity, days of stock left and suggested reorder quantities, used by
+// the dashboard, the purchase list and purchase orders
+
+export const DEFAULT_LEAD_DAYS = 7;
+export const DEFAULT_SAFETY_DAYS = 3;
+// How many days of sales the velocity is averaged over
+export const VELOCITY_WINDOW_DAYS = 30;
+// Days of sales an order should cover once it arrives, on top of lead time
+// and safety stock
+export const ORDER_COVER_DAYS = 14;
+
+const DAY_MS = 86400000;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Average daily sales per product over the window, in base units, net of
+ * returns. A product first sold inside the window is averaged over the days
+ * since that first sale (at least a week), so new lines are not understated.
+ * @param {Array} sales - Receipts, each with a lines array
+ * @param {Array} returns - returns_log rows
+ * @param {Object} [opts] - { days, today }
+ * @returns {Map} inventoryId → { sold, perDay, days }
+ */
+export function salesVelocity(sales = [], returns = [], opts = {}) {
+  const days = opts.days || VELOCITY_WINDOW_DAYS;
+  const today = opts.today ? new Date(opts.today) : new Date();
+  const from = new Date(today.getTime() - days * DAY_MS).toISOString();
+  const firstSale = new Map();
+  const sold = new Map();
+  for (const r of sales) {
+    for (const l of (r.lines || [])) {
+      if (!l.inventoryId) continue;
+      const d = r.date || '';
+      if (!firstSale.has(l.inventoryId) || d < firstSale.get(l.inventoryId)) firstSale.set(l.inventoryId, d);
+      if (d >= from) sold.set(l.inventoryId, (sold.get(l.inventoryId) || 0) + (l.qty || 0));
+    }
+  }
+  for (const x of returns) {
+    if (x.inventoryId && (x.date || '') >= from && sold.has(x.inventoryId)) {
+      sold.set(x.inventoryId, sold.get(x.inventoryId) - (x.qty || 0));
+    }
+  }
+  const out = new Map();
+  for (const [id, qty] of sold) {
+    const age = Math.ceil((today - new Date(firstSale.get(id))) / DAY_MS);
+    const span = Math.max(7, Math.min(days, age));
+    out.set(id, { sold: Math.max(0, qty), perDay: Math.max(0, qty) / span, days: span });
+  }
+  return out;
+}
+
+/**
+ * Reorder suggestions for every product that will run out before a new order
+ * could arrive, or is already at its fixed alert level.
+ *
+ * A product needs reordering when its days of stock left fall within its
+ * supplier's lead time plus safety days. The suggested order covers lead time,
+ * safety stock and ORDER_COVER_DAYS of sales, less stock on hand and stock
+ * already on order, rounded up to whole purchase units. Products with no
+ * recent sales fall back to the reorderLevel / lowStock threshold and are
+ * topped up to twice that level.
+ * @param {Array} inventory
+ * @param {Array} sales - Receipts with lines
+ * @param {Array} returns
+ * @param {Object} [opts] - { suppliers, onOrder: {inventoryId: baseQty}, lowStock, days, today }
+ * @returns {Array} [{ product, supplier, perDay, daysLeft, leadDays, safetyDays, status,
+ *   onOrder, suggestBase, suggestQty, purchaseUnit, estCost }] most urgent first.
+ *   status is 'OUT', 'URGENT' (runs out within the lead time) or 'REORDER'
+ */
+export function computeReorderSuggestions(inventory = [], sales = [], returns = [], opts = {}) {
+  const velocity = salesVelocity(sales, returns, opts);
+  const suppliers = new Map((opts.suppliers || []).map(s => [s.id, s]));
+  const onOrderBy = opts.onOrder || {};
+  const list = [];
+
+  for (const p of inventory) {
+    const stock = p.stock || 0;
+    const supplier = suppliers.get(p.supplierId) || null;
+    const leadDays = supplier && supplier.leadTimeDays != null ? supplier.leadTimeDays : DEFAULT_LEAD_DAYS;
+    const safetyDays = supplier && supplier.safetyDays != null ? supplier.safetyDays : DEFAULT_SAFETY_DAYS;
+    const perDay = (velocity.get(p.id) || {}).perDay || 0;
+    const onOrder = onOrderBy[p.id] || 0;
+    const threshold = p.reorderLevel != null && p.reorderLevel >= 0 ? p.reorderLevel : (opts.lowStock || 5);
+    const daysLeft = perDay > 0 ? Math.max(0, stock) / perDay : Infinity;
+
+    let target;
+    if (perDay > 0) {
+      if (stock > 0 && daysLeft > leadDays + safetyDays) continue;
+      target = perDay * (leadDays + safetyDays + ORDER_COVER_DAYS);
+    } else {
+      if (stock > threshold) continue;
+      target = threshold * 2;
+    }
+
+    const cf = p.conversionFactor > 0 ? p.conversionFactor : 1;
+    const suggestBase = Math.max(0, target - stock - onOrder);
+    const suggestQty = Math.ceil(suggestBase / cf - 1e-9);
+    const cost = p.wmaCost > 0 ? p.wmaCost : (p.costPrice || 0);
+    list.push({
+      product: p,
+      supplier,
+      perDay: round2(perDay),
+      daysLeft: Number.isFinite(daysLeft) ? Math.floor(daysLeft) : null,
+      leadDays,
+      safetyDays,
+      status: stock <= 0 ? 'OUT' : perDay > 0 && daysLeft <= leadDays ? 'URGENT' : 'REORDER',
+      onOrder,
+      suggestBase,
+      suggestQty,
+      purchaseUnit: p.purchaseUnit || p.baseUnit || p.unit || 'pcs',
+      estCost: round2(suggestQty * cf * cost)
+    });
+  }
+
+  const rank = { OUT: 0, URGENT: 1, REORDER: 2 };
+  return list.sort((a, b) => rank[a.status] - rank[b.status] ||
+    (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.product.name.localeCompare(b.product.name));
+}
+
+/**
+ * Plain-text purchase list grouped by supplier, for sharing by chat or email.
+ * @param {Array} suggestions - From computeReorderSuggestions
+ * @param {Object} settings - { bizName, currency }
+ * @returns {string}
+ */
+export function purchaseListText(suggestions = [], settings = {}) {
+  const cur = settings.currency || 'UGX';
+  const groups = new Map();
+  for (const s of suggestions.filter(x => x.suggestQty > 0)) {
+    const key = s.supplier ? s.supplier.name : 'No supplier set';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  const out = [`PURCHASE LIST — ${settings.bizName || 'BizTrack Pro'}`, new Date().toLocaleDateString('en-GB'), ''];
+  for (const [name, items] of groups) {
+    out.push(name.toUpperCase());
+    for (const s of items) out.push(`- ${s.product.name}: ${s.suggestQty} ${s.purchaseUnit}`);
+    out.push(`  Est. ${cur} ${Math.round(items.reduce((t, s) => t + s.estCost, 0)).toLocaleString()}`, '');
+  }
+  return out.join('\n').trim() + '\n';
+}
@@ -0,0 +1,16 @@
+// test/helpers.js
+// BizTrack Pro - Shared test setup
+
+import { vi } from 'vitest';
+
+/**
+ * Load database.js against a new, empty in-memory database. Each call gets
+ * its own module instance, so no state leaks between tests.
+ * @returns {Promise<Object>} The database module, already initialised
+ */
+export async function freshDB() {
+  vi.resetModules();
+  const db = await import('../src/utils/database.js');
+  if (!(await db.initDB())) throw new Error('initDB failed');
+  return db;
+}
@@ -0,0 +1,7 @@
+// test/mocks/core.js
+// BizTrack Pro - @capacitor/core as seen from a browser (not the Android app)
+
+export const Capacitor = {
+  isNativePlatform: () => false,
+  getPlatform: () => 'web'
+};
@@ -0,0 +1,87 @@
+// test/mocks/sqlite.js
+// BizTrack Pro - In-memory stand-in for @capacitor-community/sqlite
+// Backs each connection with a fresh sql.js database so the real schema,
+// migrations and queries in database.js run unchanged under Node.
+
+import initSqlJs from 'sql.js';
+
+const SQL = await initSqlJs();
+
+// The plugin binds booleans as 0/1 and undefined as NULL
+const bind = (values = []) => values.map(v => v === undefined ? null : typeof v === 'boolean' ? (v ? 1 : 0) : v);
+
+class MemoryConnection {
+  constructor() {
+    this.sql = null;
+    this.inTransaction = false;
+  }
+
+  async open() { this.sql = new SQL.Database(); }
+  async close() { this.sql.close(); this.sql = null; }
+
+  async execute(statements, transaction = true) {
+    if (transaction && !this.inTransaction) {
+      this.sql.exec('BEGIN');
+      try { this.sql.exec(statements); this.sql.exec('COMMIT'); }
+      catch (err) { this.sql.exec('ROLLBACK'); throw err; }
+    } else {
+      this.sql.exec(statements);
+    }
+    return { changes: { changes: this.sql.getRowsModified() } };
+  }
+
+  // Outside a transaction each statement commits on its own; inside one it
+  // lands in whatever transaction is open, as it does on the phone
+  async run(statement, values = []) {
+    this.sql.run(statement, bind(values));
+    const changes = this.sql.getRowsModified();
+    const lastId = this.sql.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    return { changes: { changes, lastId } };
+  }
+
+  async query(statement, values = []) {
+    const stmt = this.sql.prepare(statement);
+    try {
+      stmt.bind(bind(values));
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return { values: rows };
+    } finally {
+      stmt.free();
+    }
+  }
+
+  async beginTransaction() {
+    if (this.inTransaction) throw new Error('Already in a transaction');
+    this.sql.exec('BEGIN');
+    this.inTransaction = true;
+    return {};
+  }
+
+  async commitTransaction() {
+    this.sql.exec('COMMIT');
+    this.inTransaction = false;
+    return {};
+  }
+
+  async rollbackTransaction() {
+    this.sql.exec('ROLLBACK');
+    this.inTransaction = false;
+    return {};
+  }
+
+  async isTransactionActive() { return { result: this.inTransaction }; }
+}
+
+export class SQLiteConnection {
+  async checkConnectionsConsistency() { return { result: false }; }
+  async isConnection() { return { result: false }; }
+  async createConnection() { return new MemoryConnection(); }
+  async retrieveConnection() { return new MemoryConnection(); }
+  async closeConnection() {}
+  async isInConfigEncryption() { return { result: false }; }
+  async isSecretStored() { return { result: false }; }
+}
+
+export const CapacitorSQLite = {};
+export class SQLiteDBConnection {}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { computeAging, fillReminder, whatsAppLink } from '../../src/utils/agingEngine.js';
+
+const asOf = '2026-03-31';
+const owed = (id, dueDate, balance, extra = {}) => ({ id, invoiceNo: `INV-${id}`, customerId: 'C1', date: '2026-01-01', dueDate, balance, ...extra });
+
+describe('computeAging', () => {
+  it('puts each balance in the bucket for its days past due', () => {
+    const { rows, totals } = computeAging([
+      owed('1', '2026-03-31', 100),  // due today
+      owed('2', '2026-03-30', 200),  // 1 day
+      owed('3', '2026-03-01', 300),  // 30 days
+      owed('4', '2026-02-28', 400),  // 31 days
+      owed('5', '2025-12-31', 500),  // 90 days
+      owed('6', '2025-12-30', 600),  // 91 days
+      owed('7', '2026-01-01', 0)     // paid off
+    ], { asOf, customers: [{ id: 'C1', name: 'Amina', phone: '0772000000' }] });
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      name: 'Amina', phone: '0772000000', current: 100, d1_30: 500, d31_60: 400, d61_90: 500, d90plus: 600,
+      total: 2100, overdue: 2000, invoices: 6
+    });
+    expect(rows[0].oldest).toMatchObject({ receiptId: '6', invoiceNo: 'INV-6', daysOverdue: 91 });
+    expect(totals.total).toBe(2100);
+  });
+
+  it('counts foreign-currency balances at their own rate', () => {
+    const { rows } = computeAging([owed('1', '2026-03-01', 10, { fxRate: 3700 }), owed('2', '2026-03-01', 5000)], { asOf });
+    expect(rows[0].d1_30).toBe(42000);
+  });
+
+  it('dates receipts without a due date from the payment terms', () => {
+    const { rows } = computeAging([{ id: '1', customer: 'Walk-in', date: '2026-03-01T10:00:00.000Z', balance: 50 }], { asOf, payTerms: 14 });
+    expect(rows[0]).toMatchObject({ name: 'Walk-in', d1_30: 50 });
+    expect(rows[0].oldest).toMatchObject({ dueDate: '2026-03-15', daysOverdue: 16 });
+  });
+});
+
+describe('fillReminder', () => {
+  const row = { name: 'Amina', total: 2100, overdue: 2000, oldest: { invoiceNo: 'INV-6', date: '2025-11-30T09:00:00.000Z', daysOverdue: 91 } };
+
+  it('fills the placeholders and leaves unknown ones as typed', () => {
+    const text = fillReminder('{customer} owes {balance} ({overdue} late) on {oldestInvoice} of {oldestDate}, {daysOverdue} days. {business} {nope}',
+      row, { business: 'Duka', money: n => `UGX ${n}` });
+    expect(text).toBe('Amina owes UGX 2100 (UGX 2000 late) on INV-6 of 2025-11-30, 91 days. Duka {nope}');
+  });
+
+  it('falls back to the default template', () => {
+    expect(fillReminder('', row, { business: 'Duka' })).toContain('reminder from Duka');
+  });
+});
+
+describe('whatsAppLink', () => {
+  it('adds the country code to local numbers and encodes the message', () => {
+    expect(whatsAppLink('0772 123 456', 'Pay now & thanks', '256')).toBe('https://wa.me/256772123456?text=Pay%20now%20%26%20thanks');
+    expect(whatsAppLink('+256 772 123456', 'Hi')).toBe('https://wa.me/256772123456?text=Hi');
+    expect(whatsAppLink('00256772123456', 'Hi')).toBe('https://wa.me/256772123456?text=Hi');
+  });
+
+  it('returns null for a number too short to dial', () => {
+    expect(whatsAppLink('12345', 'Hi')).toBeNull();
+    expect(whatsAppLink('', 'Hi')).toBeNull();
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { encryptBackup, decryptBackup } from '../../src/utils/backupCrypto.js';
+
+const backup = { app: 'BizTrack Pro', format: 2, exportedAt: '2026-01-01T00:00:00.000Z', tables: { expenses: [{ id: 'E1' }] } };
+
+describe('decryptBackup', () => {
+  it('opens a backup with its password', async () => {
+    const file = await encryptBackup(backup, 'correct horse');
+    expect(await decryptBackup(file, 'correct horse')).toEqual(backup);
+    await expect(decryptBackup(file, 'wrong password')).rejects.toMatchObject({ wrongPassword: true });
+  });
+
+  it('rejects a file whose iteration count was changed', async () => {
+    const file = await encryptBackup(backup, 'correct horse');
+    for (const iterations of [1, 1e9, '210000']) {
+      await expect(decryptBackup({ ...file, kdf: { ...file.kdf, iterations } }, 'correct horse'))
+        .rejects.toThrow('The backup file is damaged');
+    }
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { freshDB } from '../helpers.js';
+
+let db;
+beforeEach(async () => { db = await freshDB(); });
+
+describe('initDB', () => {
+  it('creates the baseline schema and runs every migration', async () => {
+    const version = await db.getSchemaVersion();
+    expect(version).toBeGreaterThan(1);
+    const tables = (await db.dbQuery(`SELECT name FROM sqlite_master WHERE type='table'`)).map(t => t.name);
+    expect(tables).toEqual(expect.arrayContaining(['settings', 'inventory', 'receipts', 'receipt_lines', 'payments', 'stock_transactions', 'cost_layers']));
+  });
+
+  it('starts with default settings', async () => {
+    const s = await db.getSettings();
+    expect(s.bizName).toBe('My Business');
+  });
+});
+
+describe('addSaleCart', () => {
+  it('totals a foreign-currency sale in that currency', async () => {
+    await db.addProduct({ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 10 });
+    // A line still carrying its base-currency total must not be saved as is
+    const cart = [{ inventoryId: 'P1', product: 'Sugar', qty: 1, unitPrice: 2.16, discount: 0, lineTotal: 8000 }];
+    const sale = await db.addSaleCart(cart, { currency: 'USD', fxRate: 3700, totalPaid: 2.16 });
+
+    expect(sale.total).toBe(2.16);
+    expect(sale.balance).toBe(0);
+    const r = await db.getReceiptById(sale.receiptId);
+    expect(r.currency).toBe('USD');
+    expect(r.lines[0].unitPrice).toBe(2.16);
+    expect(r.lines[0].total).toBe(2.16);
+  });
+
+  it('recomputes stock line totals from quantity, price and discount', async () => {
+    await db.addProduct({ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 10 });
+    const cart = [{ inventoryId: 'P1', product: 'Sugar', qty: 3, unitPrice: 8000, discount: 10, lineTotal: 1 }];
+    const sale = await db.addSaleCart(cart, {});
+    expect(sale.total).toBe(21600);
+  });
+
+  it('takes each line of a repeated product from what the line before left', async () => {
+    await db.saveSettings({ ...(await db.getSettings()), costingMethod: 'FIFO' });
+    await db.addProduct({ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 2 });
+    await db.restockWithWMA('P1', 8, 6000, null, {});
+    const cart = [
+      { inventoryId: 'P1', product: 'Sugar', qty: 2, unitPrice: 8000, discount: 0 },
+      { inventoryId: 'P1', product: 'Sugar', qty: 3, unitPrice: 8000, discount: 10 }
+    ];
+    const sale = await db.addSaleCart(cart, {});
+
+    expect((await db.getProductById('P1')).stock).toBe(5);
+    const sales = (await db.getStockLedger('P1')).filter(t => t.movementType === 'SALE').reverse();
+    expect(sales.map(t => t.resultingBalance)).toEqual([8, 5]);
+    // The second line is costed from the batch left once the first took the older one
+    const r = await db.getReceiptById(sale.receiptId);
+    expect(r.lines.map(l => l.costPrice).sort()).toEqual([5000, 6000]);
+    expect((await db.getCostLayers('P1')).reduce((t, l) => t + l.remaining, 0)).toBe(5);
+  });
+
+  it('prices a sale from the list of the customer it is for, by id', async () => {
+    await db.addProduct({ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 10 });
+    const listId = await db.savePriceList({ name: 'Wholesale', scope: 'CUSTOMER', items: [{ productId: 'P1', minQty: 1, price: 7000 }] });
+    const customerId = await db.setCustomerPriceList('Amina', listId);
+    await db.updateCustomer(customerId, { name: 'Amina Nakato' });
+
+    // The cart still carries the name it was started under
+    const sale = await db.addSaleCart([{ inventoryId: 'P1', product: 'Sugar', qty: 2, unitPrice: 8000 }], { customer: 'Amina', customerId });
+    expect(sale.total).toBe(14000);
+    expect((await db.getReceiptById(sale.receiptId)).lines[0].priceListId).toBe(listId);
+  });
+});
+
+describe('restoreBackup', () => {
+  // What the first app versions wrote: lists, with sales as one flat row per item
+  const baselineBackup = () => ({
+    settings: { bizName: 'Duka', currency: 'UGX' },
+    inventory: [{ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 4 }],
+    sales: [
+      { id: 'S1', product: 'Sugar', category: 'Food', qty: 2, unitPrice: 8000, costPrice: 5000, discount: 0, total: 16000,
+        paid: 16000, balance: 0, status: 'PAID', customer: 'Walk-in', method: 'Cash', date: '2024-03-01T09:00:00.000Z' },
+      { id: 'S2', receiptId: 'R2', product: 'Sugar', qty: 1, unitPrice: 8000, costPrice: 5000, discount: 0, total: 8000,
+        paid: 5000, balance: 3000, status: 'PARTIAL', customer: 'Amina', method: 'Cash', date: '2024-03-02T09:00:00.000Z' },
+      { id: 'S3', receiptId: 'R2', product: 'Salt', qty: 1, unitPrice: 2000, costPrice: 1000, discount: 0, total: 2000,
+        paid: 0, balance: 2000, status: 'UNPAID', customer: 'Amina', method: 'Cash', date: '2024-03-02T09:00:00.000Z' }
+    ],
+    expenses: [],
+    suppliers: [],
+    customers: [],
+    returns: []
+  });
+
+  it('counts the sales of a baseline backup in the preview', async () => {
+    const r = await db.restoreBackup(baselineBackup(), { dryRun: true });
+    const count = (table) => r.tables.find(t => t.table === table).inBackup;
+    expect(r.format).toBe(1);
+    expect(count('receipts')).toBe(2);
+    expect(count('receipt_lines')).toBe(3);
+    expect(count('payments')).toBe(2);
+    expect(await db.getReceipts()).toHaveLength(0);
+  });
+
+  it('keeps the sales of a baseline backup on a replace restore', async () => {
+    await db.restoreBackup(baselineBackup(), { mode: 'REPLACE' });
+    const receipts = await db.getReceipts();
+    expect(receipts.map(r => r.id).sort()).toEqual(['R2', 'S1']);
+
+    const r2 = await db.getReceiptById('R2');
+    expect(r2.customer).toBe('Amina');
+    expect(r2.total).toBe(10000);
+    expect(r2.paid).toBe(5000);
+    expect(r2.balance).toBe(5000);
+    expect(r2.lines.map(l => l.id).sort()).toEqual(['S2', 'S3']);
+    expect(r2.payments.map(p => p.amount)).toEqual([5000]);
+
+    const s1 = await db.getReceiptById('S1');
+    expect(s1.status).toBe('PAID');
+    expect(s1.invoiceNo).toBe('INV-00001');
+  });
+
+  it('opens the restored stock in the ledger and leaves tables the backup lacks alone', async () => {
+    await db.addProduct({ id: 'P9', name: 'Rice', category: 'Food', costPrice: 3000, sellPrice: 4000, stock: 6 });
+    await db.addRecurringTemplate({ kind: 'EXPENSE', description: 'Rent', amount: 100, category: 'Rent', frequency: 'MONTHLY', startDate: '2030-01-01' });
+    await db.restoreBackup(baselineBackup(), { mode: 'REPLACE' });
+
+    expect(await db.getRecurringTemplates()).toHaveLength(1);
+    expect(await db.getStockLedger('P9')).toHaveLength(0);
+    const ledger = await db.getStockLedger('P1');
+    expect(ledger).toHaveLength(1);
+    expect(ledger[0]).toMatchObject({ movementType: 'RESTOCK', referenceType: 'OPENING', baseQty: 4, resultingBalance: 4, unitCost: 5000 });
+    const layers = await db.getCostLayers('P1');
+    expect(layers.map(l => [l.remaining, l.unitCost])).toEqual([[4, 5000]]);
+    expect((await db.getProductById('P1')).stock).toBe(4);
+  });
+});
+
+describe('withTransaction', () => {
+  const expense = (id) => ({ id, category: 'Rent', description: id, amount: 100, method: 'Cash' });
+  const expenseIds = async () => (await db.getExpenses()).map(e => e.id).sort();
+
+  it('refuses a write without the tx while a transaction is open', async () => {
+    let started;
+    const opened = new Promise(resolve => { started = resolve; });
+    const failing = db.withTransaction(async (tx) => {
+      await db.addExpense(expense('E-INSIDE'), tx);
+      started();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('boom');
+    });
+    await opened;
+    // Queuing either would wait on a transaction that may be waiting on it
+    await expect(db.addExpense(expense('E-OUTSIDE'))).rejects.toThrow('pass its tx');
+    await expect(db.withTransaction(async () => {})).rejects.toThrow('pass its tx');
+
+    await expect(failing).rejects.toThrow('boom');
+    expect(await expenseIds()).toEqual([]);
+    await db.addExpense(expense('E-AFTER'));
+    expect(await expenseIds()).toEqual(['E-AFTER']);
+  });
+
+  it('does not deadlock when a helper forgets to pass the tx on', async () => {
+    await expect(db.withTransaction(async () => {
+      await db.addExpense(expense('E-NESTED'));
+    })).rejects.toThrow('pass its tx');
+    expect(await expenseIds()).toEqual([]);
+  });
+
+  it('runs separate transactions one after the other', async () => {
+    const failing = db.withTransaction(async (tx) => {
+      await db.addExpense(expense('E-A'), tx);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('boom');
+    });
+    const other = db.withTransaction(async (tx) => {
+      await db.addExpense(expense('E-B'), tx);
+    });
+
+    await expect(failing).rejects.toThrow('boom');
+    await other;
+    expect(await expenseIds()).toEqual(['E-B']);
+  });
+
+  it('joins an outer transaction only when handed its tx', async () => {
+    await expect(db.withTransaction(async (tx) => {
+      await db.addPayable({ id: 'B1', creditor: 'Landlord', amount: 500, amountPaid: 200 }, tx);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(await db.getPayables()).toHaveLength(0);
+  });
+
+  it('refuses a tx whose transaction has finished', async () => {
+    let stale;
+    await db.withTransaction(async (tx) => { stale = tx; });
+    await expect(db.dbRun('DELETE FROM expenses', [], stale)).rejects.toThrow('already finished');
+  });
+});
+
+describe('stock movements', () => {
+  it('records only the stock that was on hand when more is taken out', async () => {
+    await db.addProduct({ id: 'P1', name: 'Sugar', category: 'Food', costPrice: 5000, sellPrice: 8000, stock: 2 });
+    await db.addSaleCart([{ inventoryId: 'P1', product: 'Sugar', qty: 5, unitPrice: 8000 }], {});
+
+    expect((await db.getProductById('P1')).stock).toBe(0);
+    const sale = (await db.getStockLedger('P1')).find(t => t.movementType === 'SALE');
+    expect(sale.baseQty).toBe(-2);
+    expect(sale.resultingBalance).toBe(0);
+    expect(sale.notes).toContain('5 requested, only 2 in stock');
+  });
+});
+
+describe('getInventoryValuation', () => {
+  it('values FIFO stock from the batches sales actually took', async () => {
+    await db.saveSettings({ ...(await db.getSettings()), costingMethod: 'FIFO' });
+    await db.addProduct({ id: 'P1', name: 'Milk', category: 'Food', costPrice: 100, sellPrice: 300, stock: 5, batchNo: 'A', expiryDate: '2031-01-01' });
+    // Bought later but expires sooner, so it is sold first
+    await db.restockWithWMA('P1', 5, 200, null, { batchNo: 'B', expiryDate: '2030-01-01' });
+    await db.addSaleCart([{ inventoryId: 'P1', product: 'Milk', qty: 3, unitPrice: 300 }], {});
+
+    const onHand = (await db.getCostLayers('P1')).reduce((t, l) => t + l.remaining * l.unitCost, 0);
+    expect(onHand).toBe(900);
+    const valuation = await db.getInventoryValuation();
+    expect(valuation.rows[0].qty).toBe(7);
+    expect(valuation.totalValue).toBe(onHand);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { computePL, comparisonPeriods, comparePL, computeProductProfitability } from '../../src/utils/plEngine.js';
+
+// Tax-inclusive receipt: 11800 on the shelf carries 1800 of 18% tax
+const receipt = (id, lines, tax = 0) => ({
+  id, date: '2026-03-01T09:00:00.000Z', status: 'PAID', customer: 'Walk-in',
+  total: lines.reduce((s, l) => s + l.total, 0), paid: lines.reduce((s, l) => s + l.total, 0), balance: 0, tax, lines
+});
+const line = (id, category, qty, unitPrice, costPrice, extra = {}) =>
+  ({ id, inventoryId: id, product: id, category, qty, unitPrice, costPrice, total: qty * unitPrice, ...extra });
+
+describe('computePL', () => {
+  it('splits revenue by category net of tax and returns', () => {
+    const sales = [
+      receipt('R1', [line('L1', 'Food', 2, 3540, 2000), line('L2', 'Drinks', 1, 4720, 3000)], 1800),
+      receipt('R2', [line('L3', 'Food', 1, 5000, 2000)])
+    ];
+    const returns = [{ id: 'X1', receiptId: 'R1', lineId: 'L2', product: 'L2', qty: 1, refund: 4720, tax: 720, costPrice: 3000 }];
+    const pl = computePL(sales, [], returns, { taxRate: 18, taxInclusive: 1 });
+
+    const by = Object.fromEntries(pl.categoryBreakdown.map(c => [c.name, c]));
+    expect(by.Food.revenue).toBeCloseTo(11000);
+    expect(by.Drinks.revenue).toBeCloseTo(0);
+    expect(by.Drinks.cogs).toBeCloseTo(0);
+    expect(pl.categoryBreakdown.reduce((s, c) => s + c.revenue, 0)).toBeCloseTo(pl.revenue);
+    expect(pl.categoryBreakdown.reduce((s, c) => s + c.cogs, 0)).toBeCloseTo(pl.cogs);
+  });
+});
+
+describe('comparisonPeriods', () => {
+  const ranges = (from, to) => comparisonPeriods(from, to).map(p => [p.key, p.label, p.from, p.to]);
+
+  it('compares a month, or a month so far, with the same days of the last one', () => {
+    expect(ranges('2026-03-01', '2026-03-31')).toEqual([
+      ['PREV', 'Last month', '2026-02-01', '2026-02-28'],
+      ['YEAR', 'Same period last year', '2025-03-01', '2025-03-31']
+    ]);
+    expect(ranges('2026-03-01', '2026-03-15')[0]).toEqual(['PREV', 'Last month', '2026-02-01', '2026-02-15']);
+    expect(ranges('2026-03-01', '2026-03-01')[0]).toEqual(['PREV', 'Last month', '2026-02-01', '2026-02-01']);
+    // A leap-year February ends on the last day of the February before
+    expect(ranges('2024-02-01', '2024-02-29')[1]).toEqual(['YEAR', 'Same period last year', '2023-02-01', '2023-02-28']);
+  });
+
+  it('compares a year to date with last year only', () => {
+    expect(ranges('2026-01-01', '2026-06-30')).toEqual([['YEAR', 'Last year', '2025-01-01', '2025-06-30']]);
+  });
+
+  it('compares any other range with the same number of days before it', () => {
+    expect(ranges('2026-03-10', '2026-03-16')[0]).toEqual(['PREV', 'Previous 7 days', '2026-03-03', '2026-03-09']);
+    expect(ranges('2026-03-10', '2026-03-10')[0]).toEqual(['PREV', 'Day before', '2026-03-09', '2026-03-09']);
+  });
+});
+
+describe('comparePL', () => {
+  it('gives the change per metric and whether it is good news', () => {
+    const rows = comparePL(
+      { revenue: 1200, grossMargin: '40.0', totalExpenses: 300, netProfit: 0 },
+      [{ label: 'Last month', pl: { revenue: 1000, grossMargin: '35.5', totalExpenses: 400, netProfit: 0 } }]
+    );
+    const by = Object.fromEntries(rows.map(r => [r.key, r.against[0]]));
+    expect(by.revenue).toMatchObject({ value: 1000, delta: 200, pct: 20, trend: 'up', better: true });
+    expect(by.grossMargin).toMatchObject({ delta: 4.5, pct: null, trend: 'up', better: true });
+    expect(by.totalExpenses).toMatchObject({ delta: -100, pct: -25, trend: 'down', better: true });
+    expect(by.netProfit).toMatchObject({ delta: 0, pct: null, trend: 'flat', better: null });
+    expect(rows.find(r => r.key === 'grossMargin').unit).toBe('pct');
+  });
+});
+
+describe('computeProductProfitability', () => {
+  const sales = [
+    receipt('R1', [line('A', 'Food', 2, 3540, 2000), line('B', 'Drinks', 1, 4720, 5000)], 1800),
+    receipt('R2', [line('A', 'Food', 1, 5000, 2000, { total: 4500 })])
+  ];
+  // An older return, recorded by product name only
+  const returns = [{ id: 'X1', product: 'A', qty: 1, refund: 3540, tax: 540, costPrice: 2000 }];
+  const inventory = [{ id: 'A', name: 'Sugar', category: 'Food' }, { id: 'B', name: 'Soda', category: 'Drinks' }];
+  const valuation = { opening: { rows: [{ productId: 'A', value: 3000 }] }, closing: { rows: [{ productId: 'A', value: 5000 }] } };
+
+  it('works out each product net of tax, discounts and returns', () => {
+    const [a, b] = computeProductProfitability(sales, returns, { inventory, valuation });
+    expect(a).toMatchObject({
+      product: 'Sugar', unitsSold: 3, unitsReturned: 1, grossRevenue: 10500, discounts: 500, returnsValue: 3000,
+      revenue: 7500, cogs: 4000, grossProfit: 3500, margin: 46.67, belowCost: false, avgStock: 4000, turnover: 1
+    });
+    // 4720 with tax is 4000 before it, under the 5000 it cost
+    expect(b).toMatchObject({ product: 'Soda', revenue: 4000, grossProfit: -1000, margin: -25, belowCostLines: 1, belowCost: true, turnover: null });
+  });
+
+  it('adds up to the P&L revenue and cost of goods', () => {
+    const rows = computeProductProfitability(sales, returns);
+    const pl = computePL(sales, [], returns, {});
+    expect(rows.reduce((s, r) => s + r.revenue, 0)).toBeCloseTo(pl.revenue);
+    expect(rows.reduce((s, r) => s + r.cogs, 0)).toBeCloseTo(pl.cogs);
+  });
+
+  it('keeps one category when asked', () => {
+    expect(computeProductProfitability(sales, returns, { inventory, category: 'Drinks' }).map(r => r.product)).toEqual(['Soda']);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { quotePrice, priceCart } from '../../src/utils/pricingEngine.js';
+
+const sugar = { id: 'P1', name: 'Sugar', sellPrice: 8000 };
+const wholesale = {
+  id: 'WS', name: 'Wholesale', scope: 'CUSTOMER', active: 1,
+  items: [{ productId: 'P1', minQty: 1, price: 7500 }, { productId: 'P1', minQty: 10, price: 7000 }]
+};
+const promo = {
+  id: 'PR', name: 'Easter', scope: 'ALL', active: 1, startDate: '2026-04-01', endDate: '2026-04-07',
+  items: [{ productId: 'P1', minQty: 1, price: 7200 }]
+};
+
+describe('quotePrice', () => {
+  it('uses the sell price when no list applies', () => {
+    expect(quotePrice(sugar, 5, [wholesale, promo], { date: '2026-03-01' })).toEqual({ price: 8000, listId: null, listName: null, minQty: null });
+  });
+
+  it("takes the highest quantity break reached on the customer's list", () => {
+    const opts = { priceListId: 'WS', date: '2026-03-01' };
+    expect(quotePrice(sugar, 9, [wholesale], opts)).toMatchObject({ price: 7500, listId: 'WS', minQty: 1 });
+    expect(quotePrice(sugar, 10, [wholesale], opts)).toMatchObject({ price: 7000, listId: 'WS', minQty: 10 });
+  });
+
+  it('lets a running promotion win only when it is cheaper', () => {
+    expect(quotePrice(sugar, 1, [wholesale, promo], { priceListId: 'WS', date: '2026-04-02' })).toMatchObject({ price: 7200, listId: 'PR' });
+    expect(quotePrice(sugar, 10, [wholesale, promo], { priceListId: 'WS', date: '2026-04-02' })).toMatchObject({ price: 7000, listId: 'WS' });
+    expect(quotePrice(sugar, 1, [{ ...promo, active: 0 }], { date: '2026-04-02' }).listId).toBeNull();
+  });
+
+  it("prices a variant from its parent's entry", () => {
+    const variant = { id: 'P1-1KG', parentId: 'P1', sellPrice: 8000 };
+    expect(quotePrice(variant, 1, [wholesale], { priceListId: 'WS' })).toMatchObject({ price: 7500, listId: 'WS' });
+  });
+});
+
+describe('priceCart', () => {
+  it('re-prices list lines and leaves manual and non-stock lines alone', () => {
+    const cart = [
+      { inventoryId: 'P1', qty: 10, unitPrice: 8000, discount: 10 },
+      { inventoryId: 'P1', qty: 2, unitPrice: 6000, manualPrice: true },
+      { product: 'Delivery', qty: 1, unitPrice: 2000 }
+    ];
+    const { lines, listNames } = priceCart(cart, new Map([['P1', sugar]]), [wholesale], { priceListId: 'WS' });
+    expect(lines[0]).toMatchObject({ unitPrice: 7000, lineTotal: 63000, priceListId: 'WS', priceListName: 'Wholesale' });
+    expect(lines[1]).toBe(cart[1]);
+    expect(lines[2]).toBe(cart[2]);
+    expect(listNames).toEqual(['Wholesale']);
+  });
+});
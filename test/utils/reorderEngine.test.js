@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { salesVelocity, computeReorderSuggestions } from '../../src/utils/reorderEngine.js';
+
+const today = '2026-03-31T12:00:00.000Z';
+const daysAgo = (n) => new Date(new Date(today).getTime() - n * 86400000).toISOString();
+const sale = (n, inventoryId, qty) => ({ date: daysAgo(n), lines: [{ inventoryId, qty }] });
+
+describe('salesVelocity', () => {
+  it('averages over the window, net of returns, and ignores older sales', () => {
+    const v = salesVelocity(
+      [sale(90, 'P1', 50), sale(20, 'P1', 40), sale(5, 'P1', 30)],
+      [{ inventoryId: 'P1', qty: 10, date: daysAgo(3) }, { inventoryId: 'P1', qty: 5, date: daysAgo(60) }],
+      { today }
+    );
+    expect(v.get('P1')).toEqual({ sold: 60, perDay: 2, days: 30 });
+  });
+
+  it('averages a product first sold this week over at least seven days', () => {
+    const v = salesVelocity([sale(2, 'P1', 14), sale(12, 'P2', 24)], [], { today });
+    expect(v.get('P1')).toEqual({ sold: 14, perDay: 2, days: 7 });
+    expect(v.get('P2').days).toBe(12);
+    expect(v.get('P2').perDay).toBe(2);
+  });
+});
+
+describe('computeReorderSuggestions', () => {
+  const product = (id, extra) => ({ id, name: id, stock: 0, conversionFactor: 1, costPrice: 100, ...extra });
+
+  it('orders enough for lead time, safety stock and cover, in whole purchase units', () => {
+    // 60 sold over 30 days: 2 a day
+    const sales = [sale(40, 'P1', 1), sale(10, 'P1', 60)];
+    const [s] = computeReorderSuggestions(
+      [product('P1', { stock: 10, supplierId: 'S1', conversionFactor: 12, purchaseUnit: 'box', wmaCost: 150 })],
+      sales, [],
+      { today, suppliers: [{ id: 'S1', name: 'Acme', leadTimeDays: 5, safetyDays: 2 }], onOrder: { P1: 4 } }
+    );
+    expect(s.status).toBe('URGENT');
+    expect(s.daysLeft).toBe(5);
+    // 2 × (5 + 2 + 14) = 42, less 10 on hand and 4 on order
+    expect(s.suggestBase).toBe(28);
+    expect(s.suggestQty).toBe(3);
+    expect(s.purchaseUnit).toBe('box');
+    expect(s.estCost).toBe(3 * 12 * 150);
+  });
+
+  it('skips products with enough stock and tops slow ones up to twice their level', () => {
+    const list = computeReorderSuggestions(
+      [product('FAST', { stock: 100 }), product('SLOW', { stock: 3, reorderLevel: 5 }),
+        product('IDLE', { stock: 9, reorderLevel: 5 }), product('GONE', { stock: 0 })],
+      [sale(10, 'FAST', 30)], [], { today }
+    );
+    expect(list.map(s => [s.product.id, s.status, s.suggestQty])).toEqual([['GONE', 'OUT', 10], ['SLOW', 'REORDER', 7]]);
+  });
+});
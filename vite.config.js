@@ -19,5 +19,15 @@ export default defineConfig({
     alias: {
       '@': resolve(__dirname, 'src')
     }
+  },
+  // `npm test` runs the data layer under Node against an in-memory sql.js
+  // database in place of the Capacitor SQLite plugin
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    alias: {
+      '@capacitor-community/sqlite': resolve(__dirname, 'test/mocks/sqlite.js'),
+      '@capacitor/core': resolve(__dirname, 'test/mocks/core.js')
+    }
   }
 });